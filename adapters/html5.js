@@ -0,0 +1,143 @@
+/**
+ * Generic HTML5 site adapter for Sync Player Chrome extension.
+ * Controls the page's main <video> element directly. It is the fallback for
+ * sites without their own adapter, and the base the site adapters build on.
+ */
+
+/**
+ * How content.js finds and drives a site's player
+ * Adapters are created with createSiteAdapter and only override what their site needs.
+ * @typedef {object} SiteAdapter
+ * @property {string} name - Name of the site, used in logs
+ * @property {function(URL): boolean} matches - Whether the adapter handles a page
+ * @property {function(): (HTMLVideoElement|null)} findVideo - Find the page's main video
+ * @property {function(HTMLVideoElement): Promise} play - Start playback
+ * @property {function(HTMLVideoElement): void} pause - Pause playback
+ * @property {function(HTMLVideoElement, number): void} seek - Jump to a position in seconds
+ * @property {function(HTMLVideoElement, number): void} setPlaybackRate - Change the playback rate
+ * @property {function(HTMLVideoElement): {currentTime: number, paused: boolean, playbackRate: number}} getState - Read the playback state
+ * @property {boolean} detectsAds - Whether the site plays ads that isAdPlaying can detect
+ * @property {function(): boolean} isAdPlaying - Whether an ad is playing instead of the video
+ * @property {function(URL): (string|null)} getEpisodeId - Identify what is being watched, null if unknown
+ */
+
+// Smallest size in pixels for a video to count as the page's main video
+const MIN_MAIN_VIDEO_SIZE = 100;
+
+/**
+ * Find the largest visible video element on the page, including web component players
+ * @returns {HTMLVideoElement|null} The main video element or null
+ */
+function findLargestVideo() {
+  const videos = findVideosDeep(document);
+
+  if (videos.length === 0) return null;
+  if (videos.length === 1) return videos[0];
+
+  // If multiple videos, find the largest visible one
+  let bestVideo = null;
+  let maxArea = 0;
+
+  videos.forEach((video) => {
+    const rect = video.getBoundingClientRect();
+    const area = rect.width * rect.height;
+
+    // Check if video is visible and has the largest area
+    if (area > maxArea && rect.width > MIN_MAIN_VIDEO_SIZE && rect.height > MIN_MAIN_VIDEO_SIZE) {
+      maxArea = area;
+      bestVideo = video;
+    }
+  });
+
+  return bestVideo || videos[0];
+}
+
+// Adapter for any page with a <video> element
+const html5Adapter = {
+  name: 'HTML5',
+
+  /**
+   * Any page can be handled through its <video> element
+   * @returns {boolean} Always true
+   */
+  matches() {
+    return true;
+  },
+
+  findVideo: findLargestVideo,
+
+  /**
+   * Start playback
+   * @param {HTMLVideoElement} video - The video element
+   * @returns {Promise} Rejects if the browser blocks autoplay
+   */
+  play(video) {
+    return video.play();
+  },
+
+  /**
+   * Pause playback
+   * @param {HTMLVideoElement} video - The video element
+   */
+  pause(video) {
+    video.pause();
+  },
+
+  /**
+   * Jump to a position
+   * @param {HTMLVideoElement} video - The video element
+   * @param {number} time - The position in seconds
+   */
+  seek(video, time) {
+    video.currentTime = time;
+  },
+
+  /**
+   * Change the playback rate
+   * @param {HTMLVideoElement} video - The video element
+   * @param {number} rate - The playback rate
+   */
+  setPlaybackRate(video, rate) {
+    video.playbackRate = rate;
+  },
+
+  /**
+   * Read the playback state
+   * @param {HTMLVideoElement} video - The video element
+   * @returns {{currentTime: number, paused: boolean, playbackRate: number}} The state
+   */
+  getState(video) {
+    return {
+      currentTime: video.currentTime,
+      paused: video.paused,
+      playbackRate: video.playbackRate
+    };
+  },
+
+  detectsAds: false,
+
+  /**
+   * Ads can't be told apart from the video on an arbitrary page
+   * @returns {boolean} Always false
+   */
+  isAdPlaying() {
+    return false;
+  },
+
+  /**
+   * An arbitrary page's URL doesn't reliably identify its video
+   * @returns {null} Always null
+   */
+  getEpisodeId() {
+    return null;
+  }
+};
+
+/**
+ * Create a site adapter, anything it doesn't override behaves like the HTML5 adapter
+ * @param {object} overrides - The site's name, matches and whatever else differs
+ * @returns {SiteAdapter} The adapter
+ */
+function createSiteAdapter(overrides) {
+  return { ...html5Adapter, ...overrides };
+}
@@ -0,0 +1,39 @@
+/**
+ * Netflix page script for Sync Player Chrome extension.
+ * Runs in netflix.com's own JavaScript world, where its player API lives, and
+ * seeks through that API when adapters/netflix.js asks for it with a DOM event.
+ * Everything stays inside the function so nothing leaks into the page's globals.
+ */
+
+(() => {
+  // Event the Netflix adapter dispatches on the document, its detail is the position in ms
+  const NETFLIX_SEEK_EVENT = 'sync-player-netflix-seek';
+
+  /**
+   * Get the player of the video being watched from Netflix's player API
+   * @returns {object|null} The player, or null if the API isn't available
+   */
+  function getNetflixPlayer() {
+    try {
+      const videoPlayer = window.netflix.appContext.state.playerApp.getAPI().videoPlayer;
+      const sessionIds = videoPlayer.getAllPlayerSessionIds();
+      // Previews on the browse page have their own sessions, the watched video's starts with "watch"
+      const sessionId = sessionIds.find(id => id.startsWith('watch')) || sessionIds[0];
+      return sessionId ? videoPlayer.getVideoPlayerBySessionId(sessionId) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  document.addEventListener(NETFLIX_SEEK_EVENT, (event) => {
+    // Only primitives cross from the content script's world, the position comes as a number
+    if (typeof event.detail !== 'number') return;
+
+    const player = getNetflixPlayer();
+    if (!player) {
+      console.log('Sync Player: Netflix player API not available, seek skipped');
+      return;
+    }
+    player.seek(event.detail);
+  });
+})();
@@ -0,0 +1,53 @@
+/**
+ * Netflix site adapter for Sync Player Chrome extension.
+ * Netflix's player stops with an error when the <video>'s currentTime is set
+ * directly, so seeks are handed to adapters/netflix-page.js, which uses the
+ * player's own API. Videos are identified by their Netflix title ID.
+ */
+
+// Event adapters/netflix-page.js listens for on the document (it uses the same name)
+const NETFLIX_SEEK_EVENT = 'sync-player-netflix-seek';
+// Watch pages carry the title ID, e.g. /watch/80100172
+const NETFLIX_WATCH_PATH_PATTERN = /^\/watch\/(\d+)/;
+
+// Adapter for netflix.com
+const netflixAdapter = createSiteAdapter({
+  name: 'Netflix',
+
+  /**
+   * Check if a page is on Netflix
+   * @param {URL} url - The page URL
+   * @returns {boolean} True if on Netflix
+   */
+  matches(url) {
+    const hostname = url.hostname.toLowerCase();
+    return hostname === 'netflix.com' || hostname.endsWith('.netflix.com');
+  },
+
+  /**
+   * Find the watch page's video, ignoring previews on the browse page
+   * @returns {HTMLVideoElement|null} The video element or null
+   */
+  findVideo() {
+    return document.querySelector('.watch-video video') || findLargestVideo();
+  },
+
+  /**
+   * Jump to a position through Netflix's player API
+   * @param {HTMLVideoElement} video - The video element, left alone
+   * @param {number} time - The position in seconds
+   */
+  seek(video, time) {
+    document.dispatchEvent(new CustomEvent(NETFLIX_SEEK_EVENT, { detail: Math.round(time * 1000) }));
+  },
+
+  /**
+   * Identify the title from a /watch/<id> URL
+   * @param {URL} url - The page URL
+   * @returns {string|null} "netflix:<title id>", or null off a watch page
+   */
+  getEpisodeId(url) {
+    const match = url.pathname.match(NETFLIX_WATCH_PATH_PATTERN);
+    return match ? `netflix:${match[1]}` : null;
+  }
+});
@@ -0,0 +1,20 @@
+/**
+ * Site adapter registry for Sync Player Chrome extension.
+ * Picks the adapter content.js uses to control the page's player.
+ * A new adapter goes in its own file, listed in manifest.json before this one.
+ */
+
+// Site adapters in the order they are tried
+const SITE_ADAPTERS = [
+  youtubeAdapter,
+  netflixAdapter
+];
+
+/**
+ * Pick the adapter for a page, the HTML5 adapter when no site adapter matches
+ * @param {URL} url - The page URL
+ * @returns {SiteAdapter} The adapter
+ */
+function detectSiteAdapter(url) {
+  return SITE_ADAPTERS.find(adapter => adapter.matches(url)) || html5Adapter;
+}
@@ -0,0 +1,91 @@
+/**
+ * YouTube site adapter for Sync Player Chrome extension.
+ * Finds the player's video, detects ads so the room can wait for them,
+ * and identifies videos by their YouTube video ID.
+ */
+
+// Paths that carry the video ID after a prefix, e.g. /shorts/<id>
+const YOUTUBE_VIDEO_PATH_PATTERN = /^\/(?:shorts|embed|live|v)\/([\w-]{6,})/;
+
+// Adapter for youtube.com and youtu.be
+const youtubeAdapter = createSiteAdapter({
+  name: 'YouTube',
+
+  /**
+   * Check if a page is on YouTube
+   * @param {URL} url - The page URL
+   * @returns {boolean} True if on YouTube
+   */
+  matches(url) {
+    const hostname = url.hostname.toLowerCase();
+    // Check if hostname is exactly youtube.com or a subdomain of youtube.com
+    // Also check for youtu.be (YouTube's URL shortener)
+    return hostname === 'youtube.com' ||
+           hostname.endsWith('.youtube.com') ||
+           hostname === 'youtu.be' ||
+           hostname.endsWith('.youtu.be');
+  },
+
+  /**
+   * Find the main player's video, ignoring previews shown on hover
+   * @returns {HTMLVideoElement|null} The video element or null
+   */
+  findVideo() {
+    return document.querySelector('#movie_player video, .html5-video-player video') || findLargestVideo();
+  },
+
+  detectsAds: true,
+
+  /**
+   * Detect if a YouTube ad is currently playing
+   * @returns {boolean} True if an ad is playing
+   */
+  isAdPlaying() {
+    // Check for multiple indicators that an ad is playing
+    // Method 1: Check for ad-specific classes on the player
+    const player = document.querySelector('.html5-video-player');
+    if (player && player.classList.contains('ad-showing')) {
+      return true;
+    }
+
+    // Method 2: Check for ad overlay/container
+    const adModule = document.querySelector('.video-ads.ytp-ad-module');
+    if (adModule) {
+      const adDisplay = window.getComputedStyle(adModule).display;
+      if (adDisplay !== 'none') {
+        return true;
+      }
+    }
+
+    // Method 3: Check for ad player overlay
+    const adPlayerOverlay = document.querySelector('.ytp-ad-player-overlay');
+    if (adPlayerOverlay && window.getComputedStyle(adPlayerOverlay).display !== 'none') {
+      return true;
+    }
+
+    // Method 4: Check for skip ad button or ad text
+    const adText = document.querySelector('.ytp-ad-text, .ytp-ad-preview-text');
+    if (adText && window.getComputedStyle(adText).display !== 'none') {
+      return true;
+    }
+
+    return false;
+  },
+
+  /**
+   * Identify the video from /watch?v=, youtu.be, Shorts, embed and live URLs
+   * @param {URL} url - The page URL
+   * @returns {string|null} "youtube:<video id>", or null off a video page
+   */
+  getEpisodeId(url) {
+    let videoId = url.searchParams.get('v');
+    if (!videoId && url.hostname.toLowerCase().endsWith('youtu.be')) {
+      videoId = url.pathname.slice(1).split('/')[0];
+    }
+    if (!videoId) {
+      const match = url.pathname.match(YOUTUBE_VIDEO_PATH_PATTERN);
+      videoId = match ? match[1] : null;
+    }
+    return videoId ? `youtube:${videoId}` : null;
+  }
+});
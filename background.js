@@ -4,29 +4,102 @@
  * Supports cross-device synchronization via WebSocket signaling server.
  */
 
-// Store the current room information
-let currentRoom = null;
+// ROOM_ID_PATTERN, normalizeRoomId and isValidRoomId, shared with the popup
+importScripts('room-id.js');
+
+// Our user ID, the same in every room and kept in chrome.storage.local, so a ban by user ID holds across joins
+let installUserId = null;
+// Rooms we are in, keyed by room ID; each one is synced with its own tab
+// and all of them share the signaling connection
+// { room, users, roomState, userId, username, password, resumeToken, joinRequests, invites, inviteToken, tabId, joinSent, roomStateRequested }
+const roomSessions = new Map();
 // Store connected peers
 let connectedPeers = new Map();
-// Store users list in the room
-let roomUsers = [];
-// Current user's ID and name
-let currentUserId = null;
-let currentUsername = 'Anonymous';
+// Why the server last turned us away or removed us from a room, by tab, reported to the popup once
+const roomRemovalNotices = new Map();
+// Frames of each tab that have a video, and the frame whose video is synced (content.js runs in every frame)
+// Map<tabId, { videoFrameId, locked, candidates: Map<frameId, { area }> }>
+// The largest video is picked until the user controls it or chooses one with the video picker,
+// then it stays until that frame goes away or the user controls a video in another frame
+const tabVideoFrames = new Map();
 // WebSocket connection for real-time sync
 let wsConnection = null;
-// Track the last room ID we sent a JOIN_ROOM message for
-// This prevents duplicate JOIN_ROOM messages for the same room
-let lastJoinedRoomId = null;
-// Reconnection settings
+// Connection state machine, exposed to the popup
+const CONNECTION_STATES = {
+  IDLE: 'idle', // Not in a room
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  BACKOFF: 'backoff', // Waiting to retry, see nextRetryAt
+  FAILED: 'failed', // The connection couldn't be attempted at all (e.g. a malformed server URL)
+  OFFLINE: 'offline' // The browser is offline, reconnects once it's back online
+};
+let connectionState = { status: CONNECTION_STATES.IDLE, attempt: 0, nextRetryAt: null, lastError: null };
+// Reconnection settings; retries never stop while in a room, the delay is just capped
 let reconnectAttempts = 0;
-const MAX_RECONNECT_ATTEMPTS = 5;
+let reconnectTimer = null;
 const RECONNECT_DELAY_MS = 2000;
+const MAX_RECONNECT_DELAY_MS = 60000;
 // Default signaling server URL
 // Users can host their own server using the code in /server directory
-// and change this URL to point to their server
+// and add it as a server profile on the options page
 const DEFAULT_SIGNALING_SERVER = 'https://sync-player-ummm.onrender.com';
-let signalingServerUrl = DEFAULT_SIGNALING_SERVER;
+// Built-in server profile, always available and not editable
+const DEFAULT_SERVER_PROFILE = { id: 'default', name: 'Sync Player (default)', url: DEFAULT_SIGNALING_SERVER };
+// Server profile picked on the options page (stored in chrome.storage.sync), new rooms are created and joined there
+let activeServerProfile = DEFAULT_SERVER_PROFILE;
+// All server profiles, the built-in one first; invites for these servers are joined right away
+let serverProfiles = [DEFAULT_SERVER_PROFILE];
+// Invite links open the server's /join page with the room in this fragment (content.js looks for the same prefix)
+const INVITE_FRAGMENT_PREFIX = '#sync-player-invite?';
+// Invites from unknown servers, by tab, waiting for the user to confirm the join in the popup
+const pendingInvites = new Map();
+// How long the options page's Test connection waits for the handshake and a ping round trip
+const SERVER_TEST_TIMEOUT_MS = 10000;
+// Clock synchronization with the signaling server
+// Estimated offset of the server clock from the local clock in ms (null until measured)
+let clockOffset = null;
+// Smoothed round-trip time to the signaling server in ms
+let clockRtt = null;
+let clockSyncTimer = null;
+// A few quick pings after connecting, then periodic pings to track drift
+const CLOCK_SYNC_BURST_COUNT = 5;
+const CLOCK_SYNC_BURST_DELAY_MS = 500;
+const CLOCK_SYNC_INTERVAL_MS = 30000;
+// Weight of each new sample in the moving averages
+const CLOCK_SMOOTHING_FACTOR = 0.2;
+// Samples with an RTT this many times the smoothed RTT don't update the offset
+const CLOCK_RTT_OUTLIER_FACTOR = 2;
+// Keepalive: ping the server once it has been quiet for a while, reconnect if it stays silent
+// A half-open connection never fires onclose, so silence is the only sign it's gone
+let lastServerMessageAt = 0;
+let keepaliveTimer = null;
+const KEEPALIVE_CHECK_INTERVAL_MS = 5000;
+// Also keeps the service worker awake, Chrome suspends it after 30s without WebSocket traffic
+const KEEPALIVE_IDLE_MS = 15000;
+const KEEPALIVE_TIMEOUT_MS = 45000;
+// Server error codes that mean we were not let into the room
+const ROOM_REMOVAL_CODES = ['AUTH_REQUIRED', 'AUTH_FAILED', 'AUTH_RATE_LIMITED', 'JOIN_DENIED', 'JOIN_REQUEST_TIMED_OUT', 'BANNED', 'INVITE_INVALID', 'ROOM_CREATED_MEANWHILE', 'PASSWORD_CHECK_FAILED'];
+// Answer to playback messages from tabs that aren't synced with a room
+const NOT_SYNCED_TAB_RESPONSE = {
+  success: false,
+  code: 'NOT_SYNCED_TAB',
+  error: 'This tab is not synced with a room'
+};
+// Answer to playback messages from frames other than the one with the synced video
+const NOT_VIDEO_FRAME_RESPONSE = {
+  success: false,
+  code: 'NOT_VIDEO_FRAME',
+  error: 'This frame does not have the synced video'
+};
+// Answer to popup requests for a tab that isn't in a room
+const NOT_IN_ROOM_RESPONSE = { success: false, error: 'This tab is not in a room' };
+// Sync state is saved to session storage shortly after it changes, so a suspended worker can pick up where it left off
+let persistSessionTimer = null;
+const PERSIST_SESSION_DELAY_MS = 1000;
+// Alarm that wakes the worker to reconnect if Chrome suspended it anyway
+// (periods under a minute need Chrome 120, the manifest's minimum version)
+const WAKE_ALARM_NAME = 'sync-player-wake';
+const WAKE_ALARM_PERIOD_MINUTES = 0.5;
 
 /**
  * Generate a unique room ID using cryptographically secure random values
@@ -56,54 +129,285 @@ function generateUserId() {
 }
 
 /**
- * Connect to the signaling server for cross-device sync
- * @param {string} roomId - The room ID to join
+ * Get the user ID this install uses in every room, creating and storing it the first time
+ * @returns {string} The user ID
  */
-function connectToSignalingServer(roomId) {
-  if (wsConnection && wsConnection.readyState === WebSocket.OPEN) {
-    // Client-side protection: avoid sending JOIN_ROOM if already sent for this room
-    // This reduces unnecessary network traffic and prevents potential issues
-    // Also verify we're still in that room to handle edge cases where server disconnected us
-    if (lastJoinedRoomId === roomId && currentRoom && currentRoom.id === roomId) {
-      console.log('Sync Player: Already sent JOIN_ROOM for room', roomId, '- skipping duplicate');
+function getInstallUserId() {
+  if (!installUserId) {
+    installUserId = generateUserId();
+    chrome.storage.local.set({ userId: installUserId });
+  }
+  return installUserId;
+}
+
+/**
+ * Start a room session, the state of one room we are in
+ * @param {object} room - The room info
+ * @param {string} userId - Our user ID in the room
+ * @param {string} username - Our display name in the room
+ * @param {string|null} password - The room password, if any
+ * @param {number|null} tabId - The tab synced with the room
+ * @returns {object} The session, not yet added to roomSessions
+ */
+function createRoomSession(room, userId, username, password, tabId) {
+  return {
+    room,
+    users: [{ id: userId, name: username, role: room.role }],
+    roomState: null,
+    userId,
+    username,
+    password: password || null,
+    // Token from ROOM_JOINED that lets a reconnect resume our place, role and host status
+    resumeToken: null,
+    // Requests to join our lobby room waiting for an answer (host only)
+    joinRequests: [],
+    // Outstanding invites to the room (host only)
+    invites: [],
+    // Token from the invite link we joined with, if any
+    inviteToken: null,
+    tabId: tabId ?? null,
+    // Whether JOIN_ROOM was sent on the current connection, to avoid duplicates
+    joinSent: false,
+    // Whether the synced tab is waiting for the room playback state after its video loaded
+    roomStateRequested: false
+  };
+}
+
+/**
+ * Find the room session synced with a tab
+ * @param {number|null|undefined} tabId - The tab ID
+ * @returns {object|null} The session, or null if the tab is not in a room
+ */
+function findSessionByTab(tabId) {
+  if (tabId === null || tabId === undefined) return null;
+
+  for (const session of roomSessions.values()) {
+    if (session.tabId === tabId) return session;
+  }
+  return null;
+}
+
+/**
+ * Find the room session a runtime message is about
+ * Content scripts are matched by their tab, the popup names the tab it shows.
+ * @param {object} message - The message, with tabId when sent by the popup
+ * @param {object} sender - The message sender
+ * @returns {object|null} The session, or null if that tab is not in a room
+ */
+function getMessageSession(message, sender) {
+  return findSessionByTab(sender.tab ? sender.tab.id : message.tabId);
+}
+
+/**
+ * Check whether the signaling connection is open
+ * @returns {boolean} True if messages can be sent to the server
+ */
+function isConnected() {
+  return Boolean(wsConnection && wsConnection.readyState === WebSocket.OPEN);
+}
+
+/**
+ * Get the signaling server to connect to
+ * The rooms we are in all live on one server, which is used even if another
+ * profile was picked since; otherwise it's the active profile's server.
+ * @returns {string} The server URL
+ */
+function getConnectionServerUrl() {
+  const [session] = roomSessions.values();
+  return session && session.room.serverUrl ? session.room.serverUrl : activeServerProfile.url;
+}
+
+/**
+ * Read the server profiles and the active one from sync storage
+ * @returns {Promise<{profiles: Array, activeProfileId: string}>} The built-in profile first, then the user's
+ */
+async function loadServerProfiles() {
+  const stored = await chrome.storage.sync.get(['serverProfiles', 'activeServerProfileId']);
+  serverProfiles = [DEFAULT_SERVER_PROFILE, ...(stored.serverProfiles || [])];
+  activeServerProfile = serverProfiles.find(profile => profile.id === stored.activeServerProfileId) || DEFAULT_SERVER_PROFILE;
+  return { profiles: serverProfiles, activeProfileId: activeServerProfile.id };
+}
+
+/**
+ * Get the web page address of a signaling server, where its invite page is served
+ * @param {string} serverUrl - The server URL (ws, wss, http or https)
+ * @returns {string|null} The http(s) URL without a trailing slash, or null if the URL is invalid
+ */
+function toServerPageUrl(serverUrl) {
+  try {
+    const url = new URL(serverUrl);
+    if (url.protocol === 'ws:') url.protocol = 'http:';
+    if (url.protocol === 'wss:') url.protocol = 'https:';
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return url.href.replace(/\/$/, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get a display name for a signaling server
+ * @param {string} serverUrl - The server URL
+ * @returns {string} The name of its profile, or its host if it has none
+ */
+function getServerName(serverUrl) {
+  const pageUrl = toServerPageUrl(serverUrl);
+  // Missing or invalid URLs are shown as given rather than matched against the profiles
+  if (!pageUrl) return serverUrl || 'an unknown server';
+
+  const profile = serverProfiles.find(candidate => toServerPageUrl(candidate.url) === pageUrl);
+  return profile ? profile.name : new URL(pageUrl).host;
+}
+
+/**
+ * Build the shareable invite link for a room
+ * @param {object} room - The room info, with the server it lives on
+ * @param {string} token - Optional invite token
+ * @returns {string} The invite link
+ */
+function buildInviteLink(room, token = null) {
+  const params = new URLSearchParams({ room: room.id, server: room.serverUrl });
+  if (token) {
+    params.set('token', token);
+  }
+  return `${toServerPageUrl(room.serverUrl)}/join${INVITE_FRAGMENT_PREFIX}${params}`;
+}
+
+/**
+ * Join the room of an invite link opened in a tab
+ * The join happens right away when the link is for a known server and the tab
+ * really is that server's invite page. Otherwise any page could join us to a
+ * room, so the invite is kept for the popup, which prefills it for the user to confirm.
+ * @param {object} invite - roomId, serverUrl and optional token from the link
+ * @param {object} tab - The tab the invite page is open in
+ * @param {function} sendResponse - Callback to send response
+ */
+function handleOpenInvite(invite, tab, sendResponse) {
+  const roomId = normalizeRoomId(invite.roomId);
+  const serverPageUrl = toServerPageUrl(invite.serverUrl);
+  if (!isValidRoomId(roomId) || !serverPageUrl) {
+    sendResponse({ success: false, error: 'This invite link is not valid' });
+    return;
+  }
+  if (roomSessions.has(roomId)) {
+    sendResponse({ success: false, error: 'You are already in this room' });
+    return;
+  }
+
+  const cleanInvite = { roomId, serverUrl: invite.serverUrl, token: invite.token || null };
+  const isKnownServer = serverProfiles.some(profile => toServerPageUrl(profile.url) === serverPageUrl);
+  const isServerPage = tab.url && new URL(tab.url).origin === new URL(serverPageUrl).origin;
+  if (!isKnownServer || !isServerPage) {
+    console.log(`Sync Player: Invite to room ${roomId} on ${serverPageUrl} is waiting for confirmation in the popup`);
+    pendingInvites.set(tab.id, { ...cleanInvite, serverName: getServerName(invite.serverUrl) });
+    sendResponse({ success: false, pending: true });
+    return;
+  }
+
+  console.log(`Sync Player: Joining room ${roomId} from an invite link`);
+  chrome.storage.local.get('username', (stored) => {
+    handleJoinRoom(roomId, stored.username, null, tab.id, cleanInvite, sendResponse);
+  });
+}
+
+/**
+ * Check that a signaling server answers, for the options page's Test connection button
+ * Opens a separate connection, waits for the CONNECTED handshake and times a PING round trip.
+ * @param {string} url - The server URL
+ * @returns {Promise<{latencyMs: number, version: string|null}>} Round-trip time and the server's version
+ */
+function testServerConnection(url) {
+  return new Promise((resolve, reject) => {
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch (error) {
+      reject(error);
       return;
     }
-    
-    // Already connected, join the room
-    wsConnection.send(JSON.stringify({
-      type: 'JOIN_ROOM',
-      roomId: roomId,
-      userId: currentUserId,
-      username: currentUsername
-    }));
-    lastJoinedRoomId = roomId;
+
+    let version = null;
+    const timer = setTimeout(() => {
+      reject(new Error('The server did not answer in time'));
+      socket.close();
+    }, SERVER_TEST_TIMEOUT_MS);
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+
+      if (message.type === 'CONNECTED') {
+        version = message.version || null;
+        socket.send(JSON.stringify({ type: 'PING', clientTime: Date.now() }));
+      } else if (message.type === 'PONG') {
+        clearTimeout(timer);
+        resolve({ latencyMs: Date.now() - message.clientTime, version });
+        socket.close();
+      }
+    };
+
+    socket.onerror = () => {
+      clearTimeout(timer);
+      reject(new Error('Could not reach the server'));
+    };
+
+    // Only rejects if the handshake didn't finish, a settled promise ignores it
+    socket.onclose = () => {
+      clearTimeout(timer);
+      reject(new Error('The server closed the connection'));
+    };
+  });
+}
+
+/**
+ * Connect to the signaling server for cross-device sync
+ * All rooms share the connection, every room session is joined once it's open.
+ */
+function connectToSignalingServer() {
+  if (isConnected()) {
+    roomSessions.forEach(joinRoomOnServer);
+    return;
+  }
+
+  // A connection attempt is already under way, it joins the rooms once open
+  if (wsConnection && wsConnection.readyState === WebSocket.CONNECTING) {
     return;
   }
 
+  clearReconnectTimer();
+  if (!navigator.onLine) {
+    setConnectionState(CONNECTION_STATES.OFFLINE);
+    return;
+  }
+  setConnectionState(CONNECTION_STATES.CONNECTING);
+
   try {
-    wsConnection = new WebSocket(signalingServerUrl);
+    wsConnection = new WebSocket(getConnectionServerUrl());
 
     wsConnection.onopen = () => {
       console.log('Sync Player: Connected to signaling server');
       reconnectAttempts = 0;
-      
-      // Join the room with user info
-      wsConnection.send(JSON.stringify({
-        type: 'JOIN_ROOM',
-        roomId: roomId,
-        userId: currentUserId,
-        username: currentUsername
-      }));
-      lastJoinedRoomId = roomId;
-
-      // Notify all tabs about connection status
-      broadcastConnectionStatus(true);
+      lastServerMessageAt = Date.now();
+      startKeepalive();
+
+      roomSessions.forEach(joinRoomOnServer);
+
+      // Measure clock offset so remote events can be latency-compensated
+      startClockSync();
+
+      setConnectionState(CONNECTION_STATES.CONNECTED);
     };
 
     wsConnection.onmessage = (event) => {
+      lastServerMessageAt = Date.now();
       try {
         const message = JSON.parse(event.data);
         handleSignalingMessage(message);
+        schedulePersistSessionState();
       } catch (error) {
         console.error('Sync Player: Error parsing signaling message:', error);
       }
@@ -111,203 +415,997 @@ function connectToSignalingServer(roomId) {
 
     wsConnection.onerror = (error) => {
       console.error('Sync Player: WebSocket error:', error);
-      broadcastConnectionStatus(false);
+      connectionState.lastError = 'Could not reach the sync server';
     };
 
     wsConnection.onclose = () => {
       console.log('Sync Player: Disconnected from signaling server');
-      broadcastConnectionStatus(false);
-      // Reset last joined room ID since connection is closed
-      lastJoinedRoomId = null;
-      
-      // Attempt to reconnect if still in a room
-      if (currentRoom && reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
-        reconnectAttempts++;
-        // Use exponential backoff with jitter to avoid thundering herd
-        const backoffDelay = RECONNECT_DELAY_MS * Math.pow(2, reconnectAttempts - 1) + Math.random() * 1000;
-        console.log(`Sync Player: Attempting to reconnect (${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS}) in ${Math.round(backoffDelay)}ms`);
-        setTimeout(() => {
-          if (currentRoom) {
-            connectToSignalingServer(currentRoom.id);
-          }
-        }, backoffDelay);
-      }
+      wsConnection = null;
+      handleSignalingServerClosed();
     };
   } catch (error) {
     console.error('Sync Player: Error connecting to signaling server:', error);
-    broadcastConnectionStatus(false);
+    wsConnection = null;
+    scheduleReconnect(error.message, CONNECTION_STATES.FAILED);
   }
 }
 
+/**
+ * Join a room on the open signaling connection with the session's user info
+ * @param {object} session - The room session
+ */
+function joinRoomOnServer(session) {
+  if (!isConnected()) return;
+
+  // Client-side protection: avoid sending JOIN_ROOM twice for a room on the same connection
+  if (session.joinSent) {
+    console.log('Sync Player: Already sent JOIN_ROOM for room', session.room.id, '- skipping duplicate');
+    return;
+  }
+
+  wsConnection.send(JSON.stringify({
+    type: 'JOIN_ROOM',
+    roomId: session.room.id,
+    userId: session.userId,
+    username: session.username,
+    password: session.password || undefined,
+    resumeToken: session.resumeToken || undefined,
+    inviteToken: session.inviteToken || undefined
+  }));
+  session.joinSent = true;
+}
+
+/**
+ * Move the connection state machine to a new state and tell tabs and the popup
+ * @param {string} status - One of CONNECTION_STATES
+ * @param {object} details - nextRetryAt and lastError, where relevant
+ */
+function setConnectionState(status, details = {}) {
+  connectionState = {
+    status,
+    attempt: reconnectAttempts,
+    nextRetryAt: null,
+    lastError: status === CONNECTION_STATES.CONNECTED ? null : connectionState.lastError,
+    ...details
+  };
+
+  broadcastConnectionStatus(status === CONNECTION_STATES.CONNECTED);
+  chrome.runtime.sendMessage({ type: 'CONNECTION_STATE_CHANGED', connectionState }).catch(() => {
+    // Popup may not be open
+  });
+}
+
+/**
+ * Clean up after the signaling connection closed and reconnect if still in a room
+ */
+function handleSignalingServerClosed() {
+  stopClockSync();
+  stopKeepalive();
+  // Every room has to be joined again on the next connection, heartbeats resume with ROOM_JOINED
+  roomSessions.forEach((session) => {
+    session.joinSent = false;
+    stopTabHeartbeat(session.tabId);
+  });
+  scheduleReconnect();
+}
+
+/**
+ * Schedule the next reconnection attempt with capped exponential backoff
+ * @param {string} lastError - Why the last attempt failed, if known
+ * @param {string} status - BACKOFF, or FAILED if the attempt couldn't be made at all
+ */
+function scheduleReconnect(lastError = null, status = CONNECTION_STATES.BACKOFF) {
+  clearReconnectTimer();
+  if (roomSessions.size === 0) {
+    setConnectionState(CONNECTION_STATES.IDLE);
+    return;
+  }
+  // The online event reconnects once the network is back
+  if (!navigator.onLine) {
+    setConnectionState(CONNECTION_STATES.OFFLINE);
+    return;
+  }
+
+  reconnectAttempts++;
+  // Use exponential backoff with jitter to avoid thundering herd
+  const backoffDelay = Math.min(RECONNECT_DELAY_MS * Math.pow(2, reconnectAttempts - 1), MAX_RECONNECT_DELAY_MS) + Math.random() * 1000;
+  console.log(`Sync Player: Attempting to reconnect (attempt ${reconnectAttempts}) in ${Math.round(backoffDelay)}ms`);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    if (roomSessions.size > 0) {
+      connectToSignalingServer();
+    }
+  }, backoffDelay);
+
+  setConnectionState(status, {
+    nextRetryAt: Date.now() + backoffDelay,
+    lastError: lastError || connectionState.lastError
+  });
+}
+
+/**
+ * Cancel a scheduled reconnection attempt
+ */
+function clearReconnectTimer() {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+}
+
+/**
+ * Reconnect right away instead of waiting for the backoff, e.g. from the popup's Retry button
+ * @returns {boolean} True if in a room to reconnect to
+ */
+function retryConnectionNow() {
+  if (roomSessions.size === 0) return false;
+
+  reconnectAttempts = 0;
+  connectToSignalingServer();
+  return true;
+}
+
+/**
+ * Start watching the signaling connection for silence
+ */
+function startKeepalive() {
+  stopKeepalive();
+  keepaliveTimer = setInterval(checkKeepalive, KEEPALIVE_CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop watching the signaling connection
+ */
+function stopKeepalive() {
+  if (keepaliveTimer) {
+    clearInterval(keepaliveTimer);
+    keepaliveTimer = null;
+  }
+}
+
+/**
+ * Ping a quiet server, and give up on one that has stayed silent too long
+ * The PONG reply also refines the clock offset estimate.
+ */
+function checkKeepalive() {
+  if (!wsConnection || wsConnection.readyState !== WebSocket.OPEN) return;
+
+  const silentFor = Date.now() - lastServerMessageAt;
+  if (silentFor >= KEEPALIVE_TIMEOUT_MS) {
+    console.log(`Sync Player: Signaling server silent for ${silentFor}ms, reconnecting`);
+    dropSilentConnection();
+  } else if (silentFor >= KEEPALIVE_IDLE_MS) {
+    sendClockPing();
+  }
+}
+
+/**
+ * Abandon a connection the server stopped answering on
+ * Closing a half-open socket can take minutes to fire onclose, so the
+ * handlers are detached and the close is handled right away.
+ */
+function dropSilentConnection() {
+  const deadConnection = wsConnection;
+  wsConnection = null;
+  deadConnection.onopen = null;
+  deadConnection.onmessage = null;
+  deadConnection.onerror = null;
+  deadConnection.onclose = null;
+  deadConnection.close();
+  handleSignalingServerClosed();
+}
+
 /**
  * Disconnect from the signaling server
+ * Called once the last room is left, leaving a room is done with LEAVE_ROOM.
  */
 function disconnectFromSignalingServer() {
   if (wsConnection) {
-    // Send leave message before closing
-    if (wsConnection.readyState === WebSocket.OPEN && currentRoom) {
-      wsConnection.send(JSON.stringify({
-        type: 'LEAVE_ROOM',
-        roomId: currentRoom.id
-      }));
-    }
+    // Leaving on purpose, don't let onclose schedule a reconnect
+    wsConnection.onclose = null;
     wsConnection.close();
     wsConnection = null;
   }
-  reconnectAttempts = MAX_RECONNECT_ATTEMPTS; // Prevent auto-reconnect
-  broadcastConnectionStatus(false);
+  stopClockSync();
+  stopKeepalive();
+  clearReconnectTimer();
+  reconnectAttempts = 0;
+  setConnectionState(CONNECTION_STATES.IDLE);
+}
+
+/**
+ * Send a clock synchronization ping to the signaling server
+ */
+function sendClockPing() {
+  if (wsConnection && wsConnection.readyState === WebSocket.OPEN) {
+    wsConnection.send(JSON.stringify({
+      type: 'PING',
+      clientTime: Date.now()
+    }));
+  }
+}
+
+/**
+ * Start measuring the clock offset to the signaling server
+ * Sends a short burst of pings to converge quickly, then pings periodically.
+ */
+function startClockSync() {
+  stopClockSync();
+
+  let burstRemaining = CLOCK_SYNC_BURST_COUNT;
+  const tick = () => {
+    sendClockPing();
+    burstRemaining--;
+    clockSyncTimer = setTimeout(tick, burstRemaining > 0 ? CLOCK_SYNC_BURST_DELAY_MS : CLOCK_SYNC_INTERVAL_MS);
+  };
+  tick();
+}
+
+/**
+ * Stop measuring the clock offset (the last estimate is kept)
+ */
+function stopClockSync() {
+  if (clockSyncTimer) {
+    clearTimeout(clockSyncTimer);
+    clockSyncTimer = null;
+  }
+}
+
+/**
+ * Update the smoothed clock offset and RTT from a PONG reply
+ * @param {object} message - The PONG message from the server
+ */
+function handleClockPong(message) {
+  const now = Date.now();
+  const rtt = (now - message.clientTime) - (message.serverSendTime - message.serverReceiveTime);
+  const offset = ((message.serverReceiveTime - message.clientTime) + (message.serverSendTime - now)) / 2;
+
+  if (!Number.isFinite(rtt) || !Number.isFinite(offset) || rtt < 0) return;
+
+  if (clockOffset === null) {
+    clockOffset = offset;
+    clockRtt = rtt;
+    return;
+  }
+
+  // A slow round trip is usually asymmetric, which skews the offset estimate
+  const isOutlier = rtt > clockRtt * CLOCK_RTT_OUTLIER_FACTOR;
+  clockRtt += CLOCK_SMOOTHING_FACTOR * (rtt - clockRtt);
+  if (!isOutlier) {
+    clockOffset += CLOCK_SMOOTHING_FACTOR * (offset - clockOffset);
+  }
+}
+
+/**
+ * Convert a local timestamp to server time
+ * @param {number} localTime - A timestamp from the local clock
+ * @returns {number|null} The timestamp in server time, or null if the offset is unknown
+ */
+function toServerTime(localTime) {
+  if (clockOffset === null || typeof localTime !== 'number') return null;
+  return Math.round(localTime + clockOffset);
 }
 
 /**
  * Handle messages from the signaling server
+ * Room messages carry the room ID and go to that room's session.
  * @param {object} message - The message from the server
  */
 function handleSignalingMessage(message) {
+  if (message.type === 'PONG') {
+    handleClockPong(message);
+    return;
+  }
+
+  const session = message.roomId ? roomSessions.get(message.roomId) : null;
+  if (!session) {
+    if (message.type === 'ERROR') {
+      console.error('Sync Player: Server error:', message.error);
+    }
+    return;
+  }
+  const room = session.room;
+
   switch (message.type) {
     case 'ROOM_JOINED':
       console.log(`Sync Player: Joined room ${message.roomId} with ${message.peerCount} peers`);
-      if (currentRoom) {
-        currentRoom.peerCount = message.peerCount;
-        currentRoom.isHost = message.isHost;
-        
-        // If this client is the host, send current URL to server
-        if (message.isHost) {
-          sendCurrentUrlToServer();
-        } else if (message.hostUrl) {
-          // If joining and host URL is available, open it in a new tab
-          openHostUrl(message.hostUrl);
-        }
+      room.peerCount = message.peerCount;
+      room.isHost = message.isHost;
+      room.role = message.role;
+      room.settings = message.settings || room.settings;
+      room.passwordProtected = Boolean(message.passwordProtected);
+      room.pending = false;
+      session.resumeToken = message.resumeToken || null;
+      session.roomState = message.roomState || null;
+
+      // Bring any already loaded video up to the room's playback state
+      if (session.roomState && !message.isHost) {
+        handleRemoteSyncState(session, session.roomState);
+      }
+
+      updateTabHeartbeat(session);
+
+      // If this client is the host, send current URL to server and fetch the room's invites
+      if (message.isHost) {
+        sendCurrentUrlToServer(session);
+        sendRoomRequestToServer(session, { type: 'LIST_INVITES' });
+      } else if (message.hostUrl) {
+        // If joining and host URL is available, open it in the synced tab
+        openHostUrl(session, message.hostUrl);
       }
       // Update users list if provided
       if (message.users) {
-        roomUsers = message.users;
+        session.users = message.users;
       }
+      notifyRoomStatusChanged();
+      break;
+
+    case 'JOIN_PENDING':
+      // The room is in lobby mode, wait for the host to let us in
+      console.log(`Sync Player: Waiting for the host to approve joining room ${message.roomId}`);
+      room.pending = true;
+      notifyRoomStatusChanged();
+      break;
+
+    case 'JOIN_REQUEST':
+      console.log(`Sync Player: ${message.username} asked to join room ${message.roomId}`);
+      if (room.isHost && !session.joinRequests.some(request => request.requestId === message.requestId)) {
+        session.joinRequests.push({
+          requestId: message.requestId,
+          userId: message.userId,
+          username: message.username,
+          requestedAt: message.requestedAt
+        });
+        notifyRoomStatusChanged();
+      }
+      break;
+
+    case 'INVITE_CREATED':
+      console.log(`Sync Player: Invite ${message.invite.inviteId} created for room ${message.roomId}`);
+      session.invites.push(message.invite);
+      notifyRoomStatusChanged();
+      break;
+
+    case 'INVITES_LIST':
+      session.invites = message.invites || [];
+      notifyRoomStatusChanged();
+      break;
+
+    case 'INVITE_REVOKED':
+      session.invites = session.invites.filter(invite => invite.inviteId !== message.inviteId);
+      notifyRoomStatusChanged();
+      break;
+
+    case 'JOIN_REQUEST_CANCELLED':
+      session.joinRequests = session.joinRequests.filter(request => request.requestId !== message.requestId);
+      notifyRoomStatusChanged();
       break;
 
     case 'PEER_JOINED':
-      console.log('Sync Player: A peer joined the room');
-      if (currentRoom) {
-        currentRoom.peerCount = message.peerCount;
-        // If we are host, send our URL to the server so new peers can receive it
-        if (currentRoom.isHost) {
-          sendCurrentUrlToServer();
-        }
+      console.log(`Sync Player: A peer joined room ${message.roomId}`);
+      room.peerCount = message.peerCount;
+      // If we are host, send our URL to the server so new peers can receive it
+      if (room.isHost) {
+        sendCurrentUrlToServer(session);
       }
       // Update users list if provided
       if (message.users) {
-        roomUsers = message.users;
+        session.users = message.users;
       }
       break;
 
     case 'PEER_LEFT':
-      console.log('Sync Player: A peer left the room');
-      if (currentRoom) {
-        currentRoom.peerCount = message.peerCount;
-      }
+      console.log(`Sync Player: A peer left room ${message.roomId}`);
+      room.peerCount = message.peerCount;
       // Update users list if provided
       if (message.users) {
-        roomUsers = message.users;
+        session.users = message.users;
+      }
+      break;
+
+    case 'HOST_CHANGED': {
+      // Host status moved, either by transfer or because the host left
+      console.log(`Sync Player: ${message.hostName} is now the host of room ${message.roomId}`);
+      const wasHost = room.isHost;
+      updateOwnRole(session, message.users);
+      if (room.isHost !== wasHost) {
+        updateTabHeartbeat(session);
+      }
+
+      // A newly promoted host starts publishing its URL for page-follow and takes over the invites
+      if (room.isHost && !wasHost) {
+        sendCurrentUrlToServer(session);
+        sendRoomRequestToServer(session, { type: 'LIST_INVITES' });
+      }
+      // Pending join requests and invites are the new host's business
+      if (!room.isHost) {
+        session.joinRequests = [];
+        session.invites = [];
+      }
+      if (message.users) {
+        session.users = message.users;
+      }
+      break;
+    }
+
+    case 'ROLE_CHANGED':
+      console.log(`Sync Player: User ${message.userId} is now ${message.role}`);
+      updateOwnRole(session, message.users);
+      if (message.users) {
+        session.users = message.users;
       }
       break;
 
     case 'USERS_UPDATE':
       console.log('Sync Player: Users list updated');
       if (message.users) {
-        roomUsers = message.users;
+        session.users = message.users;
       }
       break;
 
     case 'VIDEO_EVENT':
-      // Received a video event from another device
-      handleRemoteVideoEvent(message.event);
+      // Received a video event from another device, stamped with server time
+      handleRemoteVideoEvent(session, { ...message.event, serverTime: message.serverTime });
       break;
 
     case 'SYNC_VIDEO_STATE':
-      // Received sync state from another device
-      handleRemoteSyncState(message.state);
+      // Received sync state from another device, stamped with server time
+      handleRemoteSyncState(session, { ...message.state, serverTime: message.serverTime });
+      break;
+
+    case 'HEARTBEAT':
+      // Host position heartbeat, used by followers for drift correction
+      handleRemoteHeartbeat(session, { ...message.state, serverTime: message.serverTime });
+      break;
+
+    case 'ROOM_STATE':
+      // Server answered a room state request, apply it to the synced tab if it asked
+      session.roomState = message.state || null;
+      if (session.roomState && session.roomStateRequested) {
+        handleRemoteSyncState(session, session.roomState);
+      }
+      session.roomStateRequested = false;
       break;
 
     case 'HOST_URL_UPDATED':
       // Host URL was updated, open it if we're not the host
-      if (currentRoom && !currentRoom.isHost && message.url) {
-        openHostUrl(message.url);
+      if (!room.isHost && message.url) {
+        openHostUrl(session, message.url);
       }
       break;
 
     case 'ERROR':
       console.error('Sync Player: Server error:', message.error);
+      if (ROOM_REMOVAL_CODES.includes(message.code)) {
+        handleRemovedFromRoom(session, message);
+        break;
+      }
+      // A change we weren't allowed to make was dropped, snap back to the room state
+      if (message.code === 'PLAYBACK_CONTROL_DENIED' && message.roomState) {
+        handleRemoteSyncState(session, message.roomState);
+      }
+      break;
+
+    case 'ROOM_SETTINGS_UPDATED':
+      console.log('Sync Player: Room settings updated', message.settings);
+      if (message.settings) {
+        room.settings = message.settings;
+      }
+      break;
+
+    case 'KICKED':
+      // The host removed us, don't let the reconnect loop put us back
+      console.log(`Sync Player: ${message.banned ? 'Banned' : 'Removed'} from room ${message.roomId} by the host`);
+      handleRemovedFromRoom(session, {
+        roomId: message.roomId,
+        code: message.banned ? 'BANNED' : 'KICKED',
+        error: message.banned ? 'The host banned you from the room' : 'The host removed you from the room'
+      });
       break;
-    
+
     case 'ROOM_LEFT':
       // Server notified us that we left the room
-      console.log('Sync Player: Left room');
-      currentRoom = null;
-      roomUsers = [];
-      lastJoinedRoomId = null;
+      console.log(`Sync Player: Left room ${message.roomId}`);
+      endRoomSession(session);
       break;
   }
 }
 
 /**
- * Handle video events from remote devices
- * @param {object} event - The video event
+ * Forget a room session, and close the connection once no rooms are left
+ * @param {object} session - The room session
+ */
+function endRoomSession(session) {
+  roomSessions.delete(session.room.id);
+  stopTabHeartbeat(session.tabId);
+  persistSessionState();
+
+  if (roomSessions.size === 0) {
+    disconnectFromSignalingServer();
+  }
+}
+
+/**
+ * Drop a room the server refused to let us join or removed us from
+ * The popup picks up the notice for the room's tab from GET_ROOM_STATUS and asks
+ * for the password or explains what happened.
+ * @param {object} session - The room session
+ * @param {object} message - roomId, code (one of ROOM_REMOVAL_CODES or KICKED) and error
+ */
+function handleRemovedFromRoom(session, message) {
+  const removalNotice = {
+    roomId: message.roomId || session.room.id,
+    code: message.code,
+    error: message.error
+  };
+  roomRemovalNotices.set(session.tabId, removalNotice);
+
+  // The server already dropped us, so the room is forgotten without LEAVE_ROOM
+  endRoomSession(session);
+
+  // Let an open popup react right away
+  chrome.runtime.sendMessage({ type: 'REMOVED_FROM_ROOM', tabId: session.tabId, removalNotice }).catch(() => {
+    // Popup may not be open
+  });
+}
+
+/**
+ * Tell an open popup that the room status changed so it can refresh
+ */
+function notifyRoomStatusChanged() {
+  chrome.runtime.sendMessage({ type: 'ROOM_STATUS_UPDATED' }).catch(() => {
+    // Popup may not be open
+  });
+}
+
+/**
+ * Bind a room to a tab, only its video is synced with the room
+ * @param {object} session - The room session
+ * @param {number|null} tabId - The tab to sync, or null to sync none
+ */
+function setSyncedTab(session, tabId) {
+  const previousTabId = session.tabId;
+  stopTabHeartbeat(previousTabId);
+  const alreadySynced = findSessionByTab(tabId) !== null;
+  session.tabId = tabId ?? null;
+  if (previousTabId !== null && previousTabId !== session.tabId) {
+    stopTabSync(previousTabId);
+  }
+  console.log(`Sync Player: Synced tab of room ${session.room.id} is now`, session.tabId);
+  persistSessionState();
+  notifyRoomStatusChanged();
+
+  // Bring the newly synced tab up to the room's playback state
+  if (session.tabId !== null) {
+    if (!alreadySynced) {
+      installShadowRootHook(session.tabId);
+    }
+    requestRoomState(session);
+    updateTabHeartbeat(session);
+  }
+}
+
+/**
+ * Install shadow-root-hook.js in the page world of a synced tab's documents
+ * The hook patches the page's attachShadow, so only synced tabs get it. Documents
+ * loaded while the tab is synced get it as they commit, see webNavigation.onCommitted.
+ * @param {number} tabId - The tab ID
+ * @param {string|null} documentId - The document to install it in, or null for every frame's document
+ */
+function installShadowRootHook(tabId, documentId = null) {
+  const target = documentId === null ? { tabId, allFrames: true } : { tabId, documentIds: [documentId] };
+  chrome.scripting.executeScript({
+    target,
+    world: 'MAIN',
+    injectImmediately: true,
+    files: ['shadow-root-hook.js']
+  }).catch(() => {
+    // Pages the extension can't script, e.g. chrome:// pages or a document that already went away
+  });
+}
+
+/**
+ * Tell the video frame of a room's synced tab whether to send position heartbeats
+ * Only the connected host's heartbeats are used, so everyone else's videos stay
+ * quiet instead of waking the worker every few seconds. Until a frame reports
+ * a video there is nothing to tell, its VIDEO_READY brings it here.
+ * @param {object} session - The room session
+ */
+function updateTabHeartbeat(session) {
+  if (session.tabId === null || getVideoFrameId(session.tabId) === null) return;
+
+  sendToSyncedTab(session, {
+    type: 'SET_HEARTBEAT',
+    enabled: isConnected() && session.room.isHost && !session.room.pending
+  });
+}
+
+/**
+ * Stop position heartbeats in a tab, e.g. after leaving its room or losing the connection
+ * @param {number|null} tabId - The tab ID
+ * @param {number|null} frameId - The frame to stop, or null for every frame
+ */
+function stopTabHeartbeat(tabId, frameId = null) {
+  if (tabId === null) return;
+
+  const options = frameId === null ? {} : { frameId };
+  chrome.tabs.sendMessage(tabId, { type: 'SET_HEARTBEAT', enabled: false }, options).catch(() => {
+    // The tab may be navigating or have no video page loaded
+  });
+}
+
+/**
+ * Tell every frame of a tab that is no longer synced to stop following its video
+ * Otherwise it would keep sending events for a room that has moved to another tab.
+ * @param {number} tabId - The tab ID
+ */
+function stopTabSync(tabId) {
+  chrome.tabs.sendMessage(tabId, { type: 'STOP_SYNC' }).catch(() => {
+    // The tab may have been closed or have no video page loaded
+  });
+}
+
+/**
+ * Get the video frames tracked for a tab, starting an empty entry if there is none
+ * @param {number} tabId - The tab ID
+ * @returns {object} The tab's { videoFrameId, locked, candidates }
+ */
+function getTabVideoFrames(tabId) {
+  let frames = tabVideoFrames.get(tabId);
+  if (!frames) {
+    frames = { videoFrameId: null, locked: false, candidates: new Map() };
+    tabVideoFrames.set(tabId, frames);
+  }
+  return frames;
+}
+
+/**
+ * Get the frame whose video is synced in a tab
+ * @param {number|null} tabId - The tab ID
+ * @returns {number|null} The frame ID, or null if no frame has reported a video
+ */
+function getVideoFrameId(tabId) {
+  const frames = tabVideoFrames.get(tabId);
+  return frames ? frames.videoFrameId : null;
+}
+
+/**
+ * Make a frame the one whose video is synced in its tab
+ * A room synced with the tab brings the new frame up to its playback state.
+ * @param {number} tabId - The tab ID
+ * @param {number|null} frameId - The frame ID, or null if no frame has a video
+ * @param {boolean} requestState - Whether to apply the room state to the new frame
+ */
+function setVideoFrame(tabId, frameId, requestState = true) {
+  const frames = getTabVideoFrames(tabId);
+  if (frames.videoFrameId === frameId) return;
+
+  const previousFrameId = frames.videoFrameId;
+  frames.videoFrameId = frameId;
+  frames.locked = false;
+  console.log(`Sync Player: Video frame of tab ${tabId} is now`, frameId);
+
+  const session = findSessionByTab(tabId);
+  if (!session) return;
+
+  // Heartbeats move with the synced video
+  if (previousFrameId !== null) {
+    stopTabHeartbeat(tabId, previousFrameId);
+  }
+  updateTabHeartbeat(session);
+  if (frameId !== null && requestState) {
+    requestRoomState(session);
+  }
+}
+
+/**
+ * Pick the frame with the largest video in a tab
+ * @param {number} tabId - The tab ID
+ */
+function chooseVideoFrame(tabId) {
+  const frames = getTabVideoFrames(tabId);
+  let bestFrameId = null;
+  let maxArea = -1;
+  frames.candidates.forEach((candidate, frameId) => {
+    if (candidate.area > maxArea) {
+      maxArea = candidate.area;
+      bestFrameId = frameId;
+    }
+  });
+  setVideoFrame(tabId, bestFrameId);
+}
+
+/**
+ * Track a video a frame started monitoring
+ * @param {number} tabId - The tab ID
+ * @param {number} frameId - The frame ID
+ * @param {object} video - The video's { area } in pixels
+ */
+function handleVideoFound(tabId, frameId, video) {
+  const frames = getTabVideoFrames(tabId);
+  frames.candidates.set(frameId, { area: Number(video.area) || 0 });
+  if (!frames.locked) {
+    chooseVideoFrame(tabId);
+  }
+}
+
+/**
+ * Forget a frame's video, e.g. when the frame unloads, and pick another frame if it was synced
+ * @param {number} tabId - The tab ID
+ * @param {number} frameId - The frame ID
+ */
+function handleVideoLost(tabId, frameId) {
+  const frames = tabVideoFrames.get(tabId);
+  if (!frames) return;
+
+  frames.candidates.delete(frameId);
+  if (frames.videoFrameId === frameId) {
+    frames.locked = false;
+    chooseVideoFrame(tabId);
+  }
+}
+
+/**
+ * Sync the video the user chose in a frame, whatever the other frames report
+ * The frame stays synced until it loses its video, and the picker is closed everywhere.
+ * @param {number} tabId - The tab ID
+ * @param {number} frameId - The frame ID
+ */
+function handleVideoChosen(tabId, frameId) {
+  setVideoFrame(tabId, frameId);
+  getTabVideoFrames(tabId).locked = true;
+  hideVideoPicker(tabId);
+}
+
+/**
+ * Number the videos in every frame of a tab for the user to choose from
+ * Frames are asked one at a time so the numbers run on from one frame to the next.
+ * The top frame is always asked, it shows the instructions.
+ * @param {number} tabId - The tab ID
+ * @returns {Promise<number>} How many videos were numbered
+ */
+async function showVideoPicker(tabId) {
+  const frames = getTabVideoFrames(tabId);
+  const frameIds = [...new Set([0, ...frames.candidates.keys()])].sort((a, b) => a - b);
+
+  let count = 0;
+  for (const frameId of frameIds) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, {
+        type: 'SHOW_VIDEO_PICKER',
+        firstNumber: count + 1
+      }, { frameId });
+      count += response && response.count ? response.count : 0;
+    } catch (error) {
+      // The frame may be navigating or have no content script
+    }
+  }
+  return count;
+}
+
+/**
+ * Close the video picker in every frame of a tab
+ * @param {number} tabId - The tab ID
+ */
+function hideVideoPicker(tabId) {
+  chrome.tabs.sendMessage(tabId, { type: 'HIDE_VIDEO_PICKER' }).catch(() => {
+    // The tab may be navigating or have no video page loaded
+  });
+}
+
+/**
+ * Check that a playback message from a content script comes from the tab's video frame
+ * A frame takes over when no frame has reported a video yet (e.g. after the worker
+ * was suspended), or when the user controls playback in it.
+ * @param {object} message - The message
+ * @param {object} sender - The message sender
+ * @returns {boolean} True if the message should be acted on
+ */
+function isFromVideoFrame(message, sender) {
+  // The popup speaks for the whole tab
+  if (!sender.tab) return true;
+
+  const frames = getTabVideoFrames(sender.tab.id);
+  if (frames.videoFrameId === null || (message.userActivated === true && frames.videoFrameId !== sender.frameId)) {
+    // The user's own play is broadcast as is, not snapped back to the room state
+    setVideoFrame(sender.tab.id, sender.frameId, false);
+  }
+  if (frames.videoFrameId !== sender.frameId) {
+    return false;
+  }
+
+  // Autoplaying ads and previews don't count, the larger video may still turn up
+  if (message.userActivated === true) {
+    frames.locked = true;
+  }
+  return true;
+}
+
+/**
+ * Deliver a message to the video frame of a room's synced tab
+ * Until a frame reports a video, every frame gets it and those without one ignore it.
+ * @param {object} session - The room session
+ * @param {object} message - The message for the content script
+ */
+function sendToSyncedTab(session, message) {
+  if (session.tabId === null) return;
+
+  const tabId = session.tabId;
+  const frameId = getVideoFrameId(tabId);
+  const options = frameId === null ? {} : { frameId };
+  chrome.tabs.sendMessage(tabId, message, options).catch(() => {
+    // The tab may be navigating or have no video page loaded, a frame that can't be reached is gone
+    if (frameId !== null) {
+      handleVideoLost(tabId, frameId);
+    }
+  });
+}
+
+/**
+ * Answer a request to join our lobby room
+ * @param {object} session - The room session
+ * @param {string} requestId - The join request ID
+ * @param {boolean} approved - Whether to let the user in
+ * @returns {boolean} True if the answer was sent
+ */
+function respondToJoinRequest(session, requestId, approved) {
+  if (!isConnected()) {
+    return false;
+  }
+
+  wsConnection.send(JSON.stringify({
+    type: 'RESPOND_JOIN_REQUEST',
+    roomId: session.room.id,
+    requestId: requestId,
+    approved: approved
+  }));
+  session.joinRequests = session.joinRequests.filter(request => request.requestId !== requestId);
+  schedulePersistSessionState();
+  return true;
+}
+
+/**
+ * Update our role in a room from a server users list
+ * @param {object} session - The room session
+ * @param {Array} users - List of users with id and role
+ */
+function updateOwnRole(session, users) {
+  if (!users) return;
+
+  const self = users.find(user => user.id === session.userId);
+  if (self && self.role) {
+    session.room.role = self.role;
+    session.room.isHost = self.role === 'host';
+  }
+}
+
+/**
+ * Check whether this user may play, pause, seek or change rate in a room
+ * @param {object} session - The room session
+ * @returns {boolean} True if playback changes may be broadcast
+ */
+function canControlPlayback(session) {
+  const room = session.room;
+  if (!room.settings || !room.settings.hostOnlyControl) {
+    return true;
+  }
+  return room.role === 'host' || room.role === 'cohost';
+}
+
+/**
+ * Send a host's management request for a room to the server
+ * Used for user management (TRANSFER_HOST, SET_ROLE, KICK_USER, BAN_USER) and
+ * invites (CREATE_INVITE, LIST_INVITES, REVOKE_INVITE). The server rejects them
+ * from anyone but the host; invite answers update the session's invites.
+ * @param {object} session - The room session
+ * @param {object} request - The request with type and its options
+ * @returns {boolean} True if the request was sent
+ */
+function sendRoomRequestToServer(session, request) {
+  if (!isConnected()) {
+    return false;
+  }
+
+  wsConnection.send(JSON.stringify({
+    ...request,
+    roomId: session.room.id
+  }));
+  return true;
+}
+
+/**
+ * Describe a room's outstanding invites for the popup, with their links
+ * Invites past their expiry are left out, the server no longer honors them.
+ * @param {object} session - The room session
+ * @returns {Array} The invites, each with a link to share
+ */
+function getInvitesWithLinks(session) {
+  const now = Date.now();
+  return session.invites
+    .filter(invite => invite.expiresAt > now)
+    .map(invite => ({ ...invite, link: buildInviteLink(session.room, invite.token) }));
+}
+
+/**
+ * Handle video events from remote devices
+ * @param {object} session - The room session
+ * @param {object} event - The video event
+ */
+function handleRemoteVideoEvent(session, event) {
+  sendToSyncedTab(session, {
+    type: 'VIDEO_EVENT',
+    event: event,
+    clockOffset: clockOffset
+  });
+}
+
+/**
+ * Handle sync state from remote devices
+ * @param {object} session - The room session
+ * @param {object} state - The video state
+ */
+function handleRemoteSyncState(session, state) {
+  sendToSyncedTab(session, {
+    type: 'APPLY_VIDEO_STATE',
+    state: state,
+    clockOffset: clockOffset
+  });
+}
+
+/**
+ * Handle a position heartbeat from the host
+ * @param {object} session - The room session
+ * @param {object} state - The host's video state
  */
-function handleRemoteVideoEvent(event) {
-  // Broadcast to all local tabs
-  chrome.tabs.query({}, (tabs) => {
-    tabs.forEach((tab) => {
-      chrome.tabs.sendMessage(tab.id, {
-        type: 'VIDEO_EVENT',
-        event: event
-      }).catch(() => {
-        // Ignore errors for tabs without content script
-      });
-    });
+function handleRemoteHeartbeat(session, state) {
+  sendToSyncedTab(session, {
+    type: 'POSITION_HEARTBEAT',
+    state: state,
+    clockOffset: clockOffset
   });
 }
 
 /**
- * Handle sync state from remote devices
- * @param {object} state - The video state
+ * Request the current room playback state for the room's synced tab
+ * The server answers with ROOM_STATE, which is then applied to that tab.
+ * @param {object} session - The room session
  */
-function handleRemoteSyncState(state) {
-  // Apply state to all local tabs
-  chrome.tabs.query({}, (tabs) => {
-    tabs.forEach((tab) => {
-      chrome.tabs.sendMessage(tab.id, {
-        type: 'APPLY_VIDEO_STATE',
-        state: state
-      }).catch(() => {
-        // Ignore errors for tabs without content script
-      });
-    });
-  });
+function requestRoomState(session) {
+  if (!isConnected()) {
+    return;
+  }
+
+  session.roomStateRequested = true;
+  wsConnection.send(JSON.stringify({
+    type: 'GET_ROOM_STATE',
+    roomId: session.room.id
+  }));
 }
 
 /**
- * Send the current tab URL to the signaling server
+ * Send a room's synced tab URL to the signaling server
  * Only called when this client is the host
+ * @param {object} session - The room session
  */
-function sendCurrentUrlToServer() {
-  if (!wsConnection || wsConnection.readyState !== WebSocket.OPEN || !currentRoom) {
+function sendCurrentUrlToServer(session) {
+  if (!isConnected() || session.tabId === null) {
     return;
   }
 
-  // Get the active tab's URL
-  chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
+  chrome.tabs.get(session.tabId, (tab) => {
     // Handle potential chrome.runtime.lastError
     if (chrome.runtime.lastError) {
-      console.error('Sync Player: Error querying tabs:', chrome.runtime.lastError.message);
+      console.error('Sync Player: Error getting synced tab:', chrome.runtime.lastError.message);
       return;
     }
-    
-    if (tabs && tabs.length > 0 && tabs[0].url) {
-      const url = tabs[0].url;
+
+    if (tab && tab.url && isConnected()) {
+      const url = tab.url;
       // Only send if it's a valid http/https URL (not chrome:// or extension pages)
       if (url.startsWith('http://') || url.startsWith('https://')) {
         wsConnection.send(JSON.stringify({
           type: 'UPDATE_HOST_URL',
-          roomId: currentRoom.id,
+          roomId: session.room.id,
           url: url
         }));
         console.log('Sync Player: Sent host URL to server:', url);
@@ -317,15 +1415,39 @@ function sendCurrentUrlToServer() {
 }
 
 /**
- * Open the host's URL in a new tab or navigate current tab
+ * Open the host's URL in a room's synced tab
+ * Without a synced tab, an open tab with the URL, the active tab or a new tab
+ * is used and becomes the synced tab. Tabs synced with another room are left alone.
+ * @param {object} session - The room session
  * @param {string} url - The URL to open
  */
-function openHostUrl(url) {
+function openHostUrl(session, url) {
   if (!url || (!url.startsWith('http://') && !url.startsWith('https://'))) {
     console.log('Sync Player: Invalid host URL, skipping:', url);
     return;
   }
 
+  if (session.tabId !== null) {
+    chrome.tabs.get(session.tabId, (syncedTab) => {
+      if (chrome.runtime.lastError || !syncedTab) {
+        // The tab is gone, pick another one
+        session.tabId = null;
+        openHostUrl(session, url);
+        return;
+      }
+      if (syncedTab.url === url) return;
+
+      chrome.tabs.update(syncedTab.id, { url: url }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Sync Player: Error updating synced tab:', chrome.runtime.lastError.message);
+        } else {
+          console.log('Sync Player: Navigated synced tab to host URL:', url);
+        }
+      });
+    });
+    return;
+  }
+
   // Check if we already have a tab with this URL
   chrome.tabs.query({}, (tabs) => {
     // Handle potential chrome.runtime.lastError
@@ -333,9 +1455,9 @@ function openHostUrl(url) {
       console.error('Sync Player: Error querying tabs:', chrome.runtime.lastError.message);
       return;
     }
-    
-    const existingTab = tabs && tabs.find(tab => tab.url === url);
-    
+
+    const existingTab = tabs && tabs.find(tab => tab.url === url && !findSessionByTab(tab.id));
+
     if (existingTab) {
       // If tab exists, focus on it
       chrome.tabs.update(existingTab.id, { active: true }, () => {
@@ -343,6 +1465,7 @@ function openHostUrl(url) {
           console.error('Sync Player: Error focusing tab:', chrome.runtime.lastError.message);
         } else {
           console.log('Sync Player: Focused existing tab with host URL');
+          setSyncedTab(session, existingTab.id);
         }
       });
     } else {
@@ -352,43 +1475,44 @@ function openHostUrl(url) {
           console.error('Sync Player: Error querying active tabs:', chrome.runtime.lastError.message);
           return;
         }
-        
-        if (activeTabs && activeTabs.length > 0) {
-          const activeTab = activeTabs[0];
-          // If the active tab is a video page (http/https), navigate it to the new URL
-          if (activeTab.url && (activeTab.url.startsWith('http://') || activeTab.url.startsWith('https://'))) {
-            chrome.tabs.update(activeTab.id, { url: url }, () => {
-              if (chrome.runtime.lastError) {
-                console.error('Sync Player: Error updating tab:', chrome.runtime.lastError.message);
-              } else {
-                console.log('Sync Player: Navigated current tab to host URL:', url);
-              }
-            });
-          } else {
-            // Otherwise open a new tab
-            chrome.tabs.create({ url: url, active: true }, () => {
-              if (chrome.runtime.lastError) {
-                console.error('Sync Player: Error creating tab:', chrome.runtime.lastError.message);
-              } else {
-                console.log('Sync Player: Opened host URL in new tab:', url);
-              }
-            });
-          }
-        } else {
-          // No active tab, create a new one
-          chrome.tabs.create({ url: url, active: true }, () => {
+
+        const activeTab = activeTabs && activeTabs[0];
+        // If the active tab is a video page (http/https) outside any room, navigate it to the new URL
+        if (activeTab && !findSessionByTab(activeTab.id) && activeTab.url &&
+            (activeTab.url.startsWith('http://') || activeTab.url.startsWith('https://'))) {
+          chrome.tabs.update(activeTab.id, { url: url }, () => {
             if (chrome.runtime.lastError) {
-              console.error('Sync Player: Error creating tab:', chrome.runtime.lastError.message);
+              console.error('Sync Player: Error updating tab:', chrome.runtime.lastError.message);
             } else {
-              console.log('Sync Player: Opened host URL in new tab:', url);
+              console.log('Sync Player: Navigated current tab to host URL:', url);
+              setSyncedTab(session, activeTab.id);
             }
           });
+        } else {
+          // Otherwise open a new tab
+          openHostUrlInNewTab(session, url);
         }
       });
     }
   });
 }
 
+/**
+ * Open the host's URL in a new tab and sync it with the room
+ * @param {object} session - The room session
+ * @param {string} url - The URL to open
+ */
+function openHostUrlInNewTab(session, url) {
+  chrome.tabs.create({ url: url, active: true }, (tab) => {
+    if (chrome.runtime.lastError) {
+      console.error('Sync Player: Error creating tab:', chrome.runtime.lastError.message);
+    } else {
+      console.log('Sync Player: Opened host URL in new tab:', url);
+      setSyncedTab(session, tab.id);
+    }
+  });
+}
+
 /**
  * Broadcast connection status to all tabs
  * @param {boolean} connected - Whether connected to signaling server
@@ -408,72 +1532,318 @@ function broadcastConnectionStatus(connected) {
 
 /**
  * Send a video event to the signaling server for cross-device sync
+ * @param {object} session - The room session
  * @param {object} event - The video event to send
  */
-function sendVideoEventToServer(event) {
-  if (wsConnection && wsConnection.readyState === WebSocket.OPEN && currentRoom) {
+function sendVideoEventToServer(session, event) {
+  if (isConnected()) {
     wsConnection.send(JSON.stringify({
       type: 'VIDEO_EVENT',
-      roomId: currentRoom.id,
-      event: event
+      roomId: session.room.id,
+      event: event,
+      sentAt: toServerTime(event.timestamp)
     }));
   }
 }
 
 /**
  * Send sync state to the signaling server for cross-device sync
+ * @param {object} session - The room session
  * @param {object} state - The video state to send
  */
-function sendSyncStateToServer(state) {
-  if (wsConnection && wsConnection.readyState === WebSocket.OPEN && currentRoom) {
+function sendSyncStateToServer(session, state) {
+  if (isConnected()) {
     wsConnection.send(JSON.stringify({
       type: 'SYNC_VIDEO_STATE',
-      roomId: currentRoom.id,
-      state: state
+      roomId: session.room.id,
+      state: state,
+      sentAt: toServerTime(state.timestamp)
     }));
   }
 }
 
+/**
+ * Send a position heartbeat to the signaling server
+ * Only the host sends heartbeats; it is the reference followers converge to.
+ * @param {object} session - The room session
+ * @param {object} state - The video state
+ */
+function sendHeartbeatToServer(session, state) {
+  if (isConnected() && session.room.isHost) {
+    wsConnection.send(JSON.stringify({
+      type: 'HEARTBEAT',
+      roomId: session.room.id,
+      state: state,
+      sentAt: toServerTime(state.timestamp)
+    }));
+  }
+}
+
+// Resolves once the rooms are restored, anything that wakes the worker waits for it
+const sessionRestored = restoreSessionState().catch((error) => {
+  console.error('Sync Player: Error restoring session state:', error);
+});
+
 /**
  * Handle messages from content scripts and popup
+ * A message may be what woke the worker, so it is answered once the rooms are restored.
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  sessionRestored.then(() => handleRuntimeMessage(message, sender, sendResponse)).catch((error) => {
+    // Answer anyway, otherwise the sender only sees its message port close
+    console.error('Sync Player: Error handling message', message.type, error);
+    sendResponse({ success: false, error: error.message });
+  });
+  return true;
+});
+
+/**
+ * Handle a message from a content script or the popup
+ * Room messages act on the room of the sender's tab, or of the tab named by the popup.
+ * @param {object} message - The message
+ * @param {object} sender - The message sender
+ * @param {function} sendResponse - Callback to send response
+ * @returns {boolean} True, responses are sent asynchronously
+ */
+function handleRuntimeMessage(message, sender, sendResponse) {
+  const session = getMessageSession(message, sender);
+
   switch (message.type) {
     case 'CREATE_ROOM':
-      handleCreateRoom(message.username, sendResponse);
+      handleCreateRoom(message.username, message.password, message.tabId, sendResponse);
       return true;
 
     case 'JOIN_ROOM':
-      handleJoinRoom(message.roomId, message.username, sendResponse);
+      handleJoinRoom(message.roomId, message.username, message.password, message.tabId, message.invite || null, sendResponse);
+      return true;
+
+    case 'OPEN_INVITE':
+      if (!sender.tab || !message.invite) {
+        sendResponse({ success: false, error: 'Invites are opened from the invite page' });
+      } else {
+        handleOpenInvite(message.invite, sender.tab, sendResponse);
+      }
       return true;
 
     case 'LEAVE_ROOM':
-      handleLeaveRoom(sendResponse);
+      if (!session) {
+        sendResponse(NOT_IN_ROOM_RESPONSE);
+      } else {
+        handleLeaveRoom(session, message.successorId, sendResponse);
+      }
       return true;
 
     case 'GET_ROOM_STATUS':
-      sendResponse({ 
-        room: currentRoom,
-        connected: wsConnection && wsConnection.readyState === WebSocket.OPEN,
-        users: roomUsers,
-        userId: currentUserId
+      sendResponse({
+        room: session ? session.room : null,
+        connected: isConnected(),
+        connectionState: connectionState,
+        users: session ? session.users : [],
+        userId: session ? session.userId : null,
+        joinRequests: session ? session.joinRequests : [],
+        invites: session && session.room.isHost ? getInvitesWithLinks(session) : [],
+        inviteLink: session ? buildInviteLink(session.room) : null,
+        pendingInvite: pendingInvites.get(message.tabId) || null,
+        removalNotice: roomRemovalNotices.get(message.tabId ?? null) || null,
+        videoFrameId: getVideoFrameId(message.tabId ?? null),
+        rooms: Array.from(roomSessions.values(), ({ room, tabId }) => ({
+          id: room.id,
+          isHost: room.isHost,
+          pending: Boolean(room.pending),
+          tabId
+        }))
       });
+      // A rejected join is only reported once
+      roomRemovalNotices.delete(message.tabId ?? null);
+      return true;
+
+    case 'SET_SYNCED_TAB': {
+      // Move a room to another tab, which must not be in a room already
+      const movedSession = roomSessions.get(message.roomId);
+      if (!movedSession) {
+        sendResponse({ success: false, error: 'Not in that room' });
+      } else if (session && session !== movedSession) {
+        sendResponse({ success: false, error: 'This tab is already in another room' });
+      } else {
+        setSyncedTab(movedSession, message.tabId);
+        sendResponse({ success: true });
+      }
+      return true;
+    }
+
+    case 'GET_SERVER_PROFILES':
+      loadServerProfiles().then(sendResponse);
+      return true;
+
+    case 'TEST_SERVER_CONNECTION':
+      testServerConnection(message.url)
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'RETRY_CONNECTION':
+      if (retryConnectionNow()) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not in a room' });
+      }
+      return true;
+
+    case 'RESPOND_JOIN_REQUEST':
+      if (!session || !session.room.isHost) {
+        sendResponse({ success: false, error: 'Only the host can answer join requests' });
+      } else if (respondToJoinRequest(session, message.requestId, message.approved === true)) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected to sync server' });
+      }
       return true;
 
     case 'SYNC_VIDEO_STATE':
-      handleSyncVideoState(message.state, sender.tab?.id);
+    case 'VIDEO_EVENT':
+      if (!session) {
+        sendResponse(NOT_SYNCED_TAB_RESPONSE);
+        return true;
+      }
+      if (!isFromVideoFrame(message, sender)) {
+        sendResponse(NOT_VIDEO_FRAME_RESPONSE);
+        return true;
+      }
+      // In host-only mode a viewer's change is not broadcast, the tab snaps back instead
+      if (!canControlPlayback(session)) {
+        requestRoomState(session);
+        sendResponse({
+          success: false,
+          code: 'PLAYBACK_CONTROL_DENIED',
+          error: 'Only the host and co-hosts can control playback in this room'
+        });
+        return true;
+      }
+      if (message.type === 'SYNC_VIDEO_STATE') {
+        sendSyncStateToServer(session, message.state);
+      } else {
+        sendVideoEventToServer(session, message.event);
+      }
       sendResponse({ success: true });
       return true;
 
-    case 'VIDEO_EVENT':
-      broadcastVideoEvent(message.event, sender.tab?.id);
+    case 'UPDATE_ROOM_SETTINGS':
+      if (!session || !session.room.isHost) {
+        sendResponse({ success: false, error: 'Only the host can change room settings' });
+      } else if (isConnected()) {
+        wsConnection.send(JSON.stringify({
+          type: 'UPDATE_ROOM_SETTINGS',
+          roomId: session.room.id,
+          settings: message.settings
+        }));
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected to sync server' });
+      }
+      return true;
+
+    case 'TRANSFER_HOST':
+    case 'SET_ROLE':
+    case 'KICK_USER':
+    case 'BAN_USER':
+      if (!session || !session.room.isHost) {
+        sendResponse({ success: false, error: 'Only the host can manage users' });
+      } else if (sendRoomRequestToServer(session, {
+        type: message.type,
+        userId: message.userId,
+        role: message.role,
+        banAddress: message.banAddress
+      })) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected to sync server' });
+      }
+      return true;
+
+    case 'CREATE_INVITE':
+    case 'REVOKE_INVITE':
+      if (!session || !session.room.isHost) {
+        sendResponse({ success: false, error: 'Only the host can manage invites' });
+      } else if (sendRoomRequestToServer(session, {
+        type: message.type,
+        inviteId: message.inviteId,
+        role: message.role,
+        expiresInMs: message.expiresInMs,
+        maxUses: message.maxUses
+      })) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected to sync server' });
+      }
+      return true;
+
+    case 'POSITION_HEARTBEAT':
+      if (!session) {
+        sendResponse(NOT_SYNCED_TAB_RESPONSE);
+        return true;
+      }
+      if (!isFromVideoFrame(message, sender)) {
+        sendResponse(NOT_VIDEO_FRAME_RESPONSE);
+        return true;
+      }
+      sendHeartbeatToServer(session, message.state);
+      sendResponse({ success: true });
+      return true;
+
+    case 'VIDEO_READY':
+      if (!session) {
+        sendResponse(NOT_SYNCED_TAB_RESPONSE);
+        return true;
+      }
+      if (!isFromVideoFrame(message, sender)) {
+        sendResponse(NOT_VIDEO_FRAME_RESPONSE);
+        return true;
+      }
+      // The synced tab's video has loaded, bring it up to the room's playback state
+      requestRoomState(session);
+      updateTabHeartbeat(session);
+      sendResponse({ success: true });
+      return true;
+
+    case 'VIDEO_FOUND':
+      // Tracked in every tab, so the video frame is known as soon as the tab joins a room
+      if (sender.tab && message.video) {
+        handleVideoFound(sender.tab.id, sender.frameId, message.video);
+      }
+      sendResponse({ success: true });
+      return true;
+
+    case 'VIDEO_LOST':
+      if (sender.tab) {
+        handleVideoLost(sender.tab.id, sender.frameId);
+      }
+      sendResponse({ success: true });
+      return true;
+
+    case 'SHOW_VIDEO_PICKER':
+      showVideoPicker(message.tabId).then((count) => {
+        sendResponse({ success: true, count });
+      });
+      return true;
+
+    case 'VIDEO_CHOSEN':
+      if (sender.tab) {
+        handleVideoChosen(sender.tab.id, sender.frameId);
+      }
+      sendResponse({ success: true });
+      return true;
+
+    case 'CLOSE_VIDEO_PICKER':
+      if (sender.tab) {
+        hideVideoPicker(sender.tab.id);
+      }
       sendResponse({ success: true });
       return true;
 
     case 'UPDATE_HOST_URL':
       // Host updates their current URL to share with peers
-      if (currentRoom && currentRoom.isHost) {
-        sendCurrentUrlToServer();
+      if (session && session.room.isHost) {
+        sendCurrentUrlToServer(session);
         sendResponse({ success: true });
       } else {
         sendResponse({ success: false, error: 'Only host can update URL' });
@@ -484,40 +1854,154 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ error: 'Unknown message type' });
       return true;
   }
-});
+}
+
+/**
+ * Save the rooms and sync state right away
+ * Chrome suspends idle service workers and their globals go with them;
+ * restoreSessionState() reads the session storage copy back when the worker
+ * starts again. Local storage keeps just enough to rejoin after a browser
+ * restart, resume tokens stay in session storage. Room passwords aren't stored
+ * at all: a restored room resumes with its token, or asks for the password again.
+ */
+function persistSessionState() {
+  clearTimeout(persistSessionTimer);
+  persistSessionTimer = null;
+
+  if (roomSessions.size === 0) {
+    chrome.storage.session.remove('syncState');
+    chrome.storage.local.remove('savedRooms');
+    chrome.alarms.clear(WAKE_ALARM_NAME);
+    return;
+  }
+
+  const sessions = Array.from(roomSessions.values());
+  chrome.storage.session.set({
+    syncState: {
+      sessions: sessions.map(({ password, ...session }) => session),
+      clockOffset,
+      clockRtt
+    }
+  });
+  chrome.storage.local.set({
+    savedRooms: sessions.map(({ room, userId, username }) => ({ room, userId, username }))
+  });
+  chrome.alarms.create(WAKE_ALARM_NAME, { periodInMinutes: WAKE_ALARM_PERIOD_MINUTES });
+}
+
+/**
+ * Save the sync state soon, batching the bursts of updates the server sends
+ */
+function schedulePersistSessionState() {
+  if (persistSessionTimer) return;
+  persistSessionTimer = setTimeout(persistSessionState, PERSIST_SESSION_DELAY_MS);
+}
+
+/**
+ * Restore the rooms when the service worker starts
+ * After a suspension the whole sync state is in session storage. After a browser
+ * restart only the rooms from local storage are left, a protected room may ask
+ * for the password again and a tab has to be picked to sync each room.
+ * @returns {Promise} Resolves once the rooms are restored and a reconnect is under way
+ */
+async function restoreSessionState() {
+  const [local, stored] = await Promise.all([
+    chrome.storage.local.get(['savedRooms', 'userId']),
+    chrome.storage.session.get('syncState'),
+    loadServerProfiles()
+  ]);
+
+  installUserId = local.userId || null;
+
+  if (stored.syncState) {
+    stored.syncState.sessions.forEach((saved) => {
+      roomSessions.set(saved.room.id, { ...saved, password: null, joinSent: false, roomStateRequested: false });
+    });
+    clockOffset = stored.syncState.clockOffset ?? null;
+    clockRtt = stored.syncState.clockRtt ?? null;
+  } else if (local.savedRooms) {
+    local.savedRooms.forEach(({ room, userId, username }) => {
+      roomSessions.set(room.id, createRoomSession(room, userId || getInstallUserId(), username || 'Anonymous', null, null));
+    });
+  }
+
+  if (roomSessions.size === 0) return;
+
+  console.log(`Sync Player: Restoring ${roomSessions.size} room(s) after the service worker started`);
+  reconnectAttempts = 0;
+  connectToSignalingServer();
+  persistSessionState();
+}
+
+/**
+ * Check that a tab can be synced with a new room on a server
+ * The rooms share one connection, so they must all be on the same server.
+ * @param {number} tabId - The tab the room would be synced with
+ * @param {string} serverUrl - The server the room is on
+ * @param {function} sendResponse - Callback to send the error response
+ * @returns {boolean} True if the tab is not in a room yet and the server matches
+ */
+function canStartRoom(tabId, serverUrl, sendResponse) {
+  if (findSessionByTab(tabId)) {
+    sendResponse({ success: false, error: 'This tab is already in a room, leave it first' });
+    return false;
+  }
+  const [session] = roomSessions.values();
+  if (session && session.room.serverUrl !== serverUrl) {
+    sendResponse({
+      success: false,
+      error: `Your other rooms are on ${session.room.serverName}, leave them to use ${getServerName(serverUrl)}`
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Start a room session and connect it to the signaling server
+ * @param {object} session - The new room session
+ */
+function startRoomSession(session) {
+  roomRemovalNotices.delete(session.tabId);
+  pendingInvites.delete(session.tabId);
+  roomSessions.set(session.room.id, session);
+
+  // Connect to signaling server for cross-device sync
+  reconnectAttempts = 0;
+  connectToSignalingServer();
+  persistSessionState();
+}
 
 /**
  * Create a new synchronization room
  * @param {string} username - The user's display name
+ * @param {string} password - Optional room password
+ * @param {number} tabId - The tab to sync with the room
  * @param {function} sendResponse - Callback to send response
  */
-function handleCreateRoom(username, sendResponse) {
-  const roomId = generateRoomId();
-  currentUserId = generateUserId();
-  currentUsername = username || 'Anonymous';
-  
-  // Initialize users list with current user
-  roomUsers = [{ id: currentUserId, name: currentUsername }];
-  
-  currentRoom = {
-    id: roomId,
+function handleCreateRoom(username, password, tabId, sendResponse) {
+  if (!canStartRoom(tabId, activeServerProfile.url, sendResponse)) return;
+
+  const room = {
+    id: generateRoomId(),
     isHost: true,
+    role: 'host',
+    settings: { hostOnlyControl: false },
+    passwordProtected: Boolean(password),
+    serverUrl: activeServerProfile.url,
+    serverName: activeServerProfile.name,
     createdAt: Date.now(),
     peerCount: 1
   };
-  
-  // Connect to signaling server for cross-device sync
-  reconnectAttempts = 0;
-  connectToSignalingServer(roomId);
-  
-  // Store room info in chrome storage
-  chrome.storage.local.set({ currentRoom, currentUserId, currentUsername }, () => {
-    sendResponse({ 
-      success: true, 
-      roomId, 
-      userId: currentUserId,
-      users: roomUsers
-    });
+  const session = createRoomSession(room, getInstallUserId(), username || 'Anonymous', password, tabId);
+  startRoomSession(session);
+
+  sendResponse({
+    success: true,
+    roomId: room.id,
+    userId: session.userId,
+    passwordProtected: room.passwordProtected,
+    users: session.users
   });
 }
 
@@ -525,128 +2009,123 @@ function handleCreateRoom(username, sendResponse) {
  * Join an existing synchronization room
  * @param {string} roomId - The room ID to join
  * @param {string} username - The user's display name
+ * @param {string} password - Password, if the room is protected
+ * @param {number} tabId - The tab to sync with the room
+ * @param {object|null} invite - The invite link's serverUrl and token, if joining from one
  * @param {function} sendResponse - Callback to send response
  */
-function handleJoinRoom(roomId, username, sendResponse) {
+function handleJoinRoom(roomId, username, password, tabId, invite, sendResponse) {
+  roomId = normalizeRoomId(roomId);
   if (!roomId) {
     sendResponse({ success: false, error: 'Room ID is required' });
     return;
   }
+  if (!isValidRoomId(roomId)) {
+    sendResponse({ success: false, error: `Room ID must be 1-${ROOM_ID_MAX_LENGTH} letters or digits` });
+    return;
+  }
+  // Invites name their server, other joins use the active profile
+  const serverUrl = invite && invite.serverUrl ? invite.serverUrl : activeServerProfile.url;
+  if (!canStartRoom(tabId, serverUrl, sendResponse)) return;
 
-  currentUserId = generateUserId();
-  currentUsername = username || 'Anonymous';
-  
-  // Initialize users list with current user (will be updated by server)
-  roomUsers = [{ id: currentUserId, name: currentUsername }];
+  if (roomSessions.has(roomId)) {
+    sendResponse({ success: false, error: 'You are already in this room in another tab' });
+    return;
+  }
 
-  currentRoom = {
-    id: roomId.toUpperCase(),
+  const room = {
+    id: roomId,
     isHost: false,
+    role: 'viewer',
+    settings: { hostOnlyControl: false },
+    passwordProtected: Boolean(password),
+    serverUrl: serverUrl,
+    serverName: getServerName(serverUrl),
     joinedAt: Date.now(),
     peerCount: 1
   };
+  // The users list is updated by the server
+  const session = createRoomSession(room, getInstallUserId(), username || 'Anonymous', password, tabId);
+  session.inviteToken = invite ? invite.token || null : null;
+  startRoomSession(session);
 
-  // Connect to signaling server for cross-device sync
-  reconnectAttempts = 0;
-  connectToSignalingServer(currentRoom.id);
-
-  // Store room info in chrome storage
-  chrome.storage.local.set({ currentRoom, currentUserId, currentUsername }, () => {
-    sendResponse({ 
-      success: true, 
-      roomId: currentRoom.id,
-      userId: currentUserId,
-      users: roomUsers
-    });
+  sendResponse({
+    success: true,
+    roomId: room.id,
+    userId: session.userId,
+    users: session.users
   });
 }
 
 /**
- * Leave the current room
+ * Leave a room, the other rooms stay joined
+ * @param {object} session - The room session
+ * @param {string} successorId - Optional user ID to hand host status to
  * @param {function} sendResponse - Callback to send response
  */
-function handleLeaveRoom(sendResponse) {
-  // Disconnect from signaling server
-  disconnectFromSignalingServer();
-  
-  currentRoom = null;
-  roomUsers = [];
-  currentUserId = null;
-  lastJoinedRoomId = null;
-  
-  chrome.storage.local.remove(['currentRoom', 'currentUserId'], () => {
-    sendResponse({ success: true });
-  });
+function handleLeaveRoom(session, successorId, sendResponse) {
+  if (isConnected()) {
+    wsConnection.send(JSON.stringify({
+      type: 'LEAVE_ROOM',
+      roomId: session.room.id,
+      successorId: successorId
+    }));
+  }
+  endRoomSession(session);
+  sendResponse({ success: true });
 }
 
 /**
- * Handle video state synchronization
- * @param {object} state - The video state to sync
- * @param {number} senderTabId - The tab ID that sent the state
+ * Pick up server profile changes made on the options page
  */
-function handleSyncVideoState(state, senderTabId) {
-  if (!currentRoom) return;
-
-  // Broadcast to all local tabs except sender
-  chrome.tabs.query({}, (tabs) => {
-    tabs.forEach((tab) => {
-      if (tab.id !== senderTabId) {
-        chrome.tabs.sendMessage(tab.id, {
-          type: 'APPLY_VIDEO_STATE',
-          state
-        }).catch(() => {
-          // Ignore errors for tabs without content script
-        });
-      }
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && (changes.serverProfiles || changes.activeServerProfileId)) {
+    loadServerProfiles().catch((error) => {
+      console.error('Sync Player: Error loading server profiles:', error);
     });
-  });
+  }
+});
 
-  // Also send to signaling server for cross-device sync
-  sendSyncStateToServer(state);
-}
+/**
+ * Start the worker with the browser so the rooms reconnect without opening the popup
+ * restoreSessionState() does the work whenever the worker starts.
+ */
+chrome.runtime.onStartup.addListener(() => {
+  console.log('Sync Player: Browser started');
+});
 
 /**
- * Broadcast video events to all connected tabs
- * @param {object} event - The video event to broadcast
- * @param {number} senderTabId - The tab ID that sent the event
+ * Reconnect if the worker was suspended and woken by the wake alarm
  */
-function broadcastVideoEvent(event, senderTabId) {
-  if (!currentRoom) return;
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== WAKE_ALARM_NAME) return;
 
-  // Broadcast to all local tabs except sender
-  chrome.tabs.query({}, (tabs) => {
-    tabs.forEach((tab) => {
-      if (tab.id !== senderTabId) {
-        chrome.tabs.sendMessage(tab.id, {
-          type: 'VIDEO_EVENT',
-          event
-        }).catch(() => {
-          // Ignore errors for tabs without content script
-        });
-      }
-    });
+  sessionRestored.then(() => {
+    if (roomSessions.size > 0 && !wsConnection && !reconnectTimer) {
+      connectToSignalingServer();
+    }
   });
+});
 
-  // Also send to signaling server for cross-device sync
-  sendVideoEventToServer(event);
-}
+/**
+ * Reconnect as soon as the browser is back online
+ */
+self.addEventListener('online', () => {
+  console.log('Sync Player: Browser is back online');
+  if (roomSessions.size > 0 && !wsConnection) {
+    retryConnectionNow();
+  }
+});
 
 /**
- * Initialize extension state on startup
+ * Stop retrying while the browser is offline
  */
-chrome.runtime.onStartup.addListener(() => {
-  chrome.storage.local.get(['currentRoom', 'currentUserId', 'currentUsername'], (result) => {
-    if (result.currentRoom) {
-      currentRoom = result.currentRoom;
-      currentUserId = result.currentUserId || generateUserId();
-      currentUsername = result.currentUsername || 'Anonymous';
-      roomUsers = [{ id: currentUserId, name: currentUsername }];
-      
-      // Reconnect to signaling server for the existing room
-      reconnectAttempts = 0;
-      connectToSignalingServer(currentRoom.id);
-    }
-  });
+self.addEventListener('offline', () => {
+  console.log('Sync Player: Browser went offline');
+  if (roomSessions.size > 0 && !isConnected()) {
+    clearReconnectTimer();
+    setConnectionState(CONNECTION_STATES.OFFLINE);
+  }
 });
 
 /**
@@ -655,35 +2134,72 @@ chrome.runtime.onStartup.addListener(() => {
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Sync Player extension installed');
   // Clear any stale room data on install/update
-  chrome.storage.local.remove('currentRoom');
+  chrome.storage.local.remove(['savedRooms', 'currentRoom', 'currentUserId', 'currentUsername']);
+  sessionRestored.then(() => {
+    roomSessions.forEach((session) => handleLeaveRoom(session, null, () => {}));
+  });
 });
 
 /**
  * Listen for tab URL changes to sync video page navigation
- * When the host navigates to a new video page, broadcast it to all participants
+ * Each room stays bound to its synced tab as it navigates. When the host's synced
+ * tab loads a new page, broadcast it to that room's participants.
  */
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   // Only process when URL changes and loading is complete
   if (changeInfo.status === 'complete' && tab.url) {
-    // Only process if we're in a room and are the host
-    if (currentRoom && currentRoom.isHost) {
-      // Only send if it's a valid http/https URL
-      if (tab.url.startsWith('http://') || tab.url.startsWith('https://')) {
-        // Check if this is the active tab in the last focused window
-        chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
-          // Handle potential chrome.runtime.lastError
-          if (chrome.runtime.lastError) {
-            console.error('Sync Player: Error querying active tabs:', chrome.runtime.lastError.message);
-            return;
-          }
-          
-          if (tabs && tabs.length > 0 && tabs[0].id === tabId) {
-            // Send the new URL to the server
-            sendCurrentUrlToServer();
-            console.log('Sync Player: Host navigated to new page, broadcasting URL:', tab.url);
-          }
-        });
+    sessionRestored.then(() => {
+      // Only process if this tab is synced with a room we host
+      const session = findSessionByTab(tabId);
+      if (session && session.room.isHost) {
+        // Only send if it's a valid http/https URL
+        if (tab.url.startsWith('http://') || tab.url.startsWith('https://')) {
+          sendCurrentUrlToServer(session);
+          console.log('Sync Player: Host navigated to new page, broadcasting URL:', tab.url);
+        }
       }
-    }
+    });
   }
 });
+
+/**
+ * Install the shadow root hook in each new document of a synced tab, frames included
+ * Committing is the earliest point a document can be scripted, before most of its
+ * own scripts attach shadow roots.
+ */
+chrome.webNavigation.onCommitted.addListener((details) => {
+  sessionRestored.then(() => {
+    if (findSessionByTab(details.tabId)) {
+      installShadowRootHook(details.tabId, details.documentId);
+    }
+  });
+});
+
+/**
+ * Stop syncing a tab that was closed, its room stays joined until left from the popup
+ */
+chrome.tabs.onRemoved.addListener((tabId) => {
+  sessionRestored.then(() => {
+    roomRemovalNotices.delete(tabId);
+    pendingInvites.delete(tabId);
+    tabVideoFrames.delete(tabId);
+    const session = findSessionByTab(tabId);
+    if (session) {
+      console.log(`Sync Player: Synced tab of room ${session.room.id} was closed`);
+      setSyncedTab(session, null);
+    }
+  });
+});
+
+/**
+ * Keep the binding when Chrome swaps a tab for a prerendered one
+ */
+chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+  sessionRestored.then(() => {
+    tabVideoFrames.delete(removedTabId);
+    const session = findSessionByTab(removedTabId);
+    if (session) {
+      setSyncedTab(session, addedTabId);
+    }
+  });
+});
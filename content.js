@@ -1,6 +1,7 @@
 /**
  * Content script for Sync Player Chrome extension.
  * Monitors video elements on the page and handles synchronization.
+ * Runs in every frame; the background script syncs only the frame with the tab's main video.
  */
 
 // Flag to prevent recursive sync updates
@@ -15,114 +16,190 @@ const SEEK_THRESHOLD_SECONDS = 1;
 let lastSyncedTime = 0;
 // Sync cooldown period in milliseconds
 const SYNC_COOLDOWN_MS = 250;
-// YouTube ad state tracking
+// Adapter that finds and controls this site's player
+const siteAdapter = detectSiteAdapter(new URL(location.href));
+// Ad state tracking, on sites whose adapter detects ads
 let isWatchingAd = false;
 let adCheckInterval = null;
 // Ad check interval in milliseconds (1 second provides good balance between responsiveness and performance)
 const AD_CHECK_INTERVAL_MS = 1000;
 // UI overlay for ad waiting notification
 let adWaitingOverlay = null;
+// Brief notice shown when a viewer's playback change is undone in host-only mode
+let controlDeniedNotice = null;
+let controlDeniedNoticeTimer = null;
+const CONTROL_DENIED_NOTICE_MS = 3000;
+// Offset of the signaling server clock from the local clock in ms, provided by the background script
+let serverClockOffset = null;
+// Position heartbeats sent while playing (only the host's are relayed to followers)
+const HEARTBEAT_INTERVAL_MS = 2000;
+let heartbeatInterval = null;
+// Whether the background script asked this frame for heartbeats, only the synced host's video frame sends them
+let heartbeatEnabled = false;
+// Drift correction: followers nudge their playback rate toward the host's position
+// Drift in seconds below which playback counts as converged
+const DRIFT_CONVERGED_SECONDS = 0.05;
+// Drift in seconds above which a nudge is started
+const DRIFT_NUDGE_START_SECONDS = 0.2;
+// Drift in seconds above which a hard seek is used instead of nudging
+const DRIFT_SEEK_THRESHOLD_SECONDS = 2;
+// Maximum rate adjustment while nudging (0.05 allows 0.95x to 1.05x of the chosen rate)
+const MAX_RATE_NUDGE = 0.05;
+// Seconds over which a drift should be corrected; larger values nudge more gently
+const DRIFT_CORRECTION_WINDOW_SECONDS = 10;
+// The user's chosen playback rate while a nudge is active, null when not nudging
+let nudgeBaseRate = null;
+// Rate last set by the drift controller, so its ratechange event isn't broadcast
+let selfAppliedRate = null;
+// Invite links end in this fragment (background.js builds them with the same prefix)
+const INVITE_FRAGMENT_PREFIX = '#sync-player-invite?';
+// Video the user chose for this site with the video picker, null if none was chosen
+let chosenVideo = null;
+// Stops following the monitored video through source changes
+let stopLifecycleTracking = null;
+// Listener waiting for the monitored video's metadata before VIDEO_READY is sent
+let pendingReadyListener = null;
+// Set when the room moved to another tab, the video is left alone until INIT_SYNC
+let syncStopped = false;
 
 /**
- * Find the primary video element on the page
- * @returns {HTMLVideoElement|null} The main video element or null
+ * Identify what is being watched in this tab
+ * @returns {string|null} The adapter's episode ID, or null if it can't tell
  */
-function findVideoElement() {
-  // Try to find the most relevant video element
-  const videos = document.querySelectorAll('video');
-  
-  if (videos.length === 0) return null;
-  if (videos.length === 1) return videos[0];
+function getCurrentEpisodeId() {
+  return siteAdapter.getEpisodeId(new URL(location.href));
+}
 
-  // If multiple videos, find the largest visible one
-  let bestVideo = null;
-  let maxArea = 0;
+/**
+ * Get the current state of a video element
+ * @param {HTMLVideoElement} video - The video element
+ * @returns {object} The video state
+ */
+function getVideoState(video) {
+  const state = {
+    ...siteAdapter.getState(video),
+    playbackRate: getChosenPlaybackRate(video),
+    timestamp: Date.now()
+  };
+  
+  const episodeId = getCurrentEpisodeId();
+  if (episodeId) {
+    state.episodeId = episodeId;
+  }
+  
+  // Add ad state on sites where ads can be detected
+  if (siteAdapter.detectsAds) {
+    state.isWatchingAd = siteAdapter.isAdPlaying();
+  }
+  
+  return state;
+}
 
-  videos.forEach((video) => {
-    const rect = video.getBoundingClientRect();
-    const area = rect.width * rect.height;
-    
-    // Check if video is visible and has the largest area
-    if (area > maxArea && rect.width > 100 && rect.height > 100) {
-      maxArea = area;
-      bestVideo = video;
-    }
-  });
+/**
+ * Get the seconds elapsed since a remote event or state was captured
+ * Uses the server timestamp and the measured clock offset when available, so
+ * clock skew between devices doesn't distort latency compensation.
+ * Falls back to the sender's local timestamp (only accurate on the same device).
+ * @param {object} data - The remote event or state
+ * @returns {number} Elapsed time in seconds (never negative)
+ */
+function getElapsedSeconds(data) {
+  if (typeof data.serverTime === 'number' && serverClockOffset !== null) {
+    return Math.max(0, Date.now() + serverClockOffset - data.serverTime) / 1000;
+  }
+  if (typeof data.timestamp === 'number') {
+    return Math.max(0, Date.now() - data.timestamp) / 1000;
+  }
+  return 0;
+}
 
-  return bestVideo || videos[0];
+/**
+ * Get the playback rate the user chose, ignoring any drift correction nudge
+ * @param {HTMLVideoElement} video - The video element
+ * @returns {number} The chosen playback rate
+ */
+function getChosenPlaybackRate(video) {
+  return nudgeBaseRate !== null ? nudgeBaseRate : siteAdapter.getState(video).playbackRate;
 }
 
 /**
- * Check if current page is YouTube
- * @returns {boolean} True if on YouTube
+ * Set the playback rate without broadcasting the resulting ratechange event
+ * @param {HTMLVideoElement} video - The video element
+ * @param {number} rate - The playback rate to set
  */
-function isYouTube() {
-  const hostname = window.location.hostname.toLowerCase();
-  // Check if hostname is exactly youtube.com or a subdomain of youtube.com
-  // Also check for youtu.be (YouTube's URL shortener)
-  return hostname === 'youtube.com' || 
-         hostname.endsWith('.youtube.com') ||
-         hostname === 'youtu.be' ||
-         hostname.endsWith('.youtu.be');
+function setPlaybackRateSilently(video, rate) {
+  if (siteAdapter.getState(video).playbackRate === rate) return;
+  selfAppliedRate = rate;
+  siteAdapter.setPlaybackRate(video, rate);
 }
 
 /**
- * Detect if a YouTube ad is currently playing
- * @returns {boolean} True if an ad is playing
+ * End any drift correction nudge in progress
+ * @param {boolean} restoreRate - Whether to restore the user's chosen rate
+ *   (false when the caller is about to set a new rate itself)
  */
-function isYouTubeAdPlaying() {
-  if (!isYouTube()) return false;
-  
-  // Check for multiple indicators that an ad is playing
-  // Method 1: Check for ad-specific classes on the player
-  const player = document.querySelector('.html5-video-player');
-  if (player && player.classList.contains('ad-showing')) {
-    return true;
-  }
-  
-  // Method 2: Check for ad overlay/container
-  const adModule = document.querySelector('.video-ads.ytp-ad-module');
-  if (adModule) {
-    const adDisplay = window.getComputedStyle(adModule).display;
-    if (adDisplay !== 'none') {
-      return true;
-    }
+function stopDriftCorrection(restoreRate = true) {
+  if (nudgeBaseRate === null) return;
+  if (restoreRate && monitoredVideo) {
+    setPlaybackRateSilently(monitoredVideo, nudgeBaseRate);
   }
-  
-  // Method 3: Check for ad player overlay
-  const adPlayerOverlay = document.querySelector('.ytp-ad-player-overlay');
-  if (adPlayerOverlay && window.getComputedStyle(adPlayerOverlay).display !== 'none') {
-    return true;
-  }
-  
-  // Method 4: Check for skip ad button or ad text
-  const adText = document.querySelector('.ytp-ad-text, .ytp-ad-preview-text');
-  if (adText && window.getComputedStyle(adText).display !== 'none') {
-    return true;
-  }
-  
-  return false;
+  nudgeBaseRate = null;
 }
 
 /**
- * Get the current state of a video element
+ * Correct drift from the host's position heartbeat
+ * Small drifts are corrected by briefly speeding up or slowing down; only
+ * large gaps fall back to a seek. The chosen rate is restored on convergence.
  * @param {HTMLVideoElement} video - The video element
- * @returns {object} The video state
+ * @param {object} state - The host's video state
  */
-function getVideoState(video) {
-  const state = {
-    currentTime: video.currentTime,
-    paused: video.paused,
-    playbackRate: video.playbackRate,
-    timestamp: Date.now()
-  };
-  
-  // Add YouTube ad state if on YouTube
-  if (isYouTube()) {
-    state.isWatchingAd = isYouTubeAdPlaying();
+function correctDrift(video, state) {
+  if (!video || isSyncing) return;
+
+  const current = siteAdapter.getState(video);
+
+  // Play/pause mismatches are handled by events, and ads pause sync entirely
+  if (state.paused || current.paused ||
+      (siteAdapter.detectsAds && (state.isWatchingAd === true || siteAdapter.isAdPlaying()))) {
+    stopDriftCorrection();
+    return;
   }
-  
-  return state;
+
+  // The host is on another video, e.g. until page-follow brings this tab along
+  const episodeId = getCurrentEpisodeId();
+  if (state.episodeId && episodeId && state.episodeId !== episodeId) {
+    stopDriftCorrection();
+    return;
+  }
+
+  const targetTime = state.currentTime + getElapsedSeconds(state) * state.playbackRate;
+  // Positive drift means this video is behind the host
+  const drift = targetTime - current.currentTime;
+  const absDrift = Math.abs(drift);
+
+  if (absDrift > DRIFT_SEEK_THRESHOLD_SECONDS) {
+    stopDriftCorrection();
+    isSyncing = true;
+    siteAdapter.seek(video, targetTime);
+    lastSyncedTime = targetTime;
+    setTimeout(() => {
+      isSyncing = false;
+    }, SYNC_COOLDOWN_MS);
+    return;
+  }
+
+  // Use hysteresis so a nudge runs until fully converged but small jitter doesn't start one
+  const threshold = nudgeBaseRate === null ? DRIFT_NUDGE_START_SECONDS : DRIFT_CONVERGED_SECONDS;
+  if (absDrift < threshold) {
+    stopDriftCorrection();
+    return;
+  }
+
+  if (nudgeBaseRate === null) {
+    nudgeBaseRate = current.playbackRate;
+  }
+  const nudge = Math.max(-MAX_RATE_NUDGE, Math.min(MAX_RATE_NUDGE, drift / DRIFT_CORRECTION_WINDOW_SECONDS));
+  setPlaybackRateSilently(video, nudgeBaseRate * (1 + nudge));
 }
 
 /**
@@ -133,15 +210,15 @@ function getVideoState(video) {
 function applyVideoState(video, state) {
   if (!video || isSyncing) return;
 
-  // On YouTube, handle ad synchronization
-  if (isYouTube()) {
-    const localAdPlaying = isYouTubeAdPlaying();
+  // On sites with detectable ads, handle ad synchronization
+  if (siteAdapter.detectsAds) {
+    const localAdPlaying = siteAdapter.isAdPlaying();
     const remoteAdPlaying = state.isWatchingAd === true;
     
     if (remoteAdPlaying && !localAdPlaying) {
       // Remote user is watching ad, we are not - pause and wait
-      if (!video.paused) {
-        video.pause();
+      if (!siteAdapter.getState(video).paused) {
+        siteAdapter.pause(video);
       }
       showAdWaitingOverlay();
       return; // Don't apply other state changes while remote user is watching ad
@@ -161,10 +238,13 @@ function applyVideoState(video, state) {
   }
 
   isSyncing = true;
+  // The remote rate replaces the chosen rate, so don't restore it
+  stopDriftCorrection(false);
 
   try {
+    const current = siteAdapter.getState(video);
     // Calculate time difference to account for network latency
-    const latency = (Date.now() - state.timestamp) / 1000;
+    const latency = getElapsedSeconds(state);
     let targetTime = state.currentTime;
     
     // Adjust for latency if video is playing
@@ -173,21 +253,21 @@ function applyVideoState(video, state) {
     }
 
     // Only seek if difference is significant (more than threshold)
-    if (Math.abs(video.currentTime - targetTime) > SEEK_THRESHOLD_SECONDS) {
-      video.currentTime = targetTime;
+    if (Math.abs(current.currentTime - targetTime) > SEEK_THRESHOLD_SECONDS) {
+      siteAdapter.seek(video, targetTime);
       lastSyncedTime = targetTime;
     }
 
     // Sync playback rate
-    if (video.playbackRate !== state.playbackRate) {
-      video.playbackRate = state.playbackRate;
+    if (current.playbackRate !== state.playbackRate) {
+      siteAdapter.setPlaybackRate(video, state.playbackRate);
     }
 
     // Sync play/pause state
-    if (state.paused && !video.paused) {
-      video.pause();
-    } else if (!state.paused && video.paused) {
-      video.play().catch(() => {
+    if (state.paused && !current.paused) {
+      siteAdapter.pause(video);
+    } else if (!state.paused && current.paused) {
+      siteAdapter.play(video).catch(() => {
         // Autoplay may be blocked
         console.log('Sync Player: Autoplay blocked by browser');
       });
@@ -283,51 +363,52 @@ function hideAdWaitingOverlay() {
 }
 
 /**
- * Start monitoring YouTube ad state changes
+ * Start monitoring ad state changes on sites where ads can be detected
  */
-function startYouTubeAdMonitoring() {
+function startAdMonitoring() {
   // Stop any existing monitoring first
-  stopYouTubeAdMonitoring();
+  stopAdMonitoring();
   
   // Initialize the ad state
-  isWatchingAd = isYouTubeAdPlaying();
+  isWatchingAd = siteAdapter.isAdPlaying();
   
   // If an ad is already playing when monitoring starts (e.g., after switching videos),
   // broadcast it immediately so other users know to wait
   if (isWatchingAd && monitoredVideo) {
-    console.log('Sync Player: YouTube ad already playing at start, broadcasting ad state');
+    console.log(`Sync Player: ${siteAdapter.name} ad already playing at start, broadcasting ad state`);
     sendVideoEvent('pause', {
-      currentTime: monitoredVideo.currentTime,
+      currentTime: siteAdapter.getState(monitoredVideo).currentTime,
       isWatchingAd: true
     });
   }
   
   // Check ad state periodically
   // 1 second provides good balance between responsiveness and performance
-  // YouTube ads typically last 5-30 seconds, so 1s delay is acceptable
+  // Ads typically last 5-30 seconds, so 1s delay is acceptable
   adCheckInterval = setInterval(() => {
-    const currentAdState = isYouTubeAdPlaying();
+    const currentAdState = siteAdapter.isAdPlaying();
     
     // If ad state changed, broadcast it
     if (currentAdState !== isWatchingAd) {
       isWatchingAd = currentAdState;
       
       if (monitoredVideo) {
+        const current = siteAdapter.getState(monitoredVideo);
         // Broadcast the state change
         if (currentAdState) {
           // Ad started playing
-          console.log('Sync Player: YouTube ad detected, broadcasting ad state');
+          console.log(`Sync Player: ${siteAdapter.name} ad detected, broadcasting ad state`);
           sendVideoEvent('pause', {
-            currentTime: monitoredVideo.currentTime,
+            currentTime: current.currentTime,
             isWatchingAd: true
           });
         } else {
           // Ad finished, broadcast current state
-          console.log('Sync Player: YouTube ad finished, resuming sync');
+          console.log(`Sync Player: ${siteAdapter.name} ad finished, resuming sync`);
           // When ad finishes, send current play state
-          sendVideoEvent(monitoredVideo.paused ? 'pause' : 'play', {
-            currentTime: monitoredVideo.currentTime,
-            playbackRate: monitoredVideo.playbackRate,
+          sendVideoEvent(current.paused ? 'pause' : 'play', {
+            currentTime: current.currentTime,
+            playbackRate: getChosenPlaybackRate(monitoredVideo),
             isWatchingAd: false
           });
         }
@@ -335,18 +416,18 @@ function startYouTubeAdMonitoring() {
     }
   }, AD_CHECK_INTERVAL_MS);
   
-  console.log('Sync Player: Started YouTube ad monitoring');
+  console.log(`Sync Player: Started ${siteAdapter.name} ad monitoring`);
 }
 
 /**
- * Stop monitoring YouTube ad state changes
+ * Stop monitoring ad state changes
  */
-function stopYouTubeAdMonitoring() {
+function stopAdMonitoring() {
   if (adCheckInterval) {
     clearInterval(adCheckInterval);
     adCheckInterval = null;
     // Don't reset isWatchingAd - let it maintain current state
-    console.log('Sync Player: Stopped YouTube ad monitoring');
+    console.log(`Sync Player: Stopped ${siteAdapter.name} ad monitoring`);
   }
 }
 
@@ -358,10 +439,10 @@ function stopYouTubeAdMonitoring() {
 function sendVideoEvent(eventType, data = {}) {
   if (isSyncing) return;
   
-  // Add YouTube ad state if on YouTube and not already provided
+  // Add ad state on sites where ads can be detected, if not already provided
   const eventData = { ...data };
-  if (isYouTube() && eventData.isWatchingAd === undefined) {
-    eventData.isWatchingAd = isYouTubeAdPlaying();
+  if (siteAdapter.detectsAds && eventData.isWatchingAd === undefined) {
+    eventData.isWatchingAd = siteAdapter.isAdPlaying();
   }
 
   chrome.runtime.sendMessage({
@@ -370,12 +451,54 @@ function sendVideoEvent(eventType, data = {}) {
       eventType,
       ...eventData,
       timestamp: Date.now()
+    },
+    // Lets a video in this frame take over from one in another frame of the tab
+    userActivated: Boolean(navigator.userActivation && navigator.userActivation.isActive)
+  }).then((response) => {
+    // In host-only mode the background script snaps the video back to the room state
+    if (response && response.code === 'PLAYBACK_CONTROL_DENIED') {
+      showControlDeniedNotice();
     }
   }).catch(() => {
     // Extension context may not be available
   });
 }
 
+/**
+ * Briefly explain why a playback change was undone
+ */
+function showControlDeniedNotice() {
+  clearTimeout(controlDeniedNoticeTimer);
+
+  if (!controlDeniedNotice || !document.body.contains(controlDeniedNotice)) {
+    controlDeniedNotice = document.createElement('div');
+    controlDeniedNotice.id = 'sync-player-control-denied-notice';
+    controlDeniedNotice.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: rgba(0, 0, 0, 0.9);
+      color: white;
+      padding: 12px 20px;
+      border-radius: 8px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      z-index: 9999999;
+      box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
+    `;
+    controlDeniedNotice.textContent = '🔒 Only the host and co-hosts can control playback in this room';
+    document.body.appendChild(controlDeniedNotice);
+  }
+
+  controlDeniedNoticeTimer = setTimeout(() => {
+    if (controlDeniedNotice) {
+      controlDeniedNotice.remove();
+      controlDeniedNotice = null;
+    }
+  }, CONTROL_DENIED_NOTICE_MS);
+}
+
 /**
  * Set up event listeners for a video element
  * @param {HTMLVideoElement} video - The video element to monitor
@@ -398,15 +521,86 @@ function setupVideoListeners(video) {
   video.addEventListener('seeked', handleSeeked);
   // Rate change event handler
   video.addEventListener('ratechange', handleRateChange);
+
+  // Reapply the room state when the player loads new media into the element
+  stopLifecycleTracking = trackVideoLifecycle(video, {
+    onMediaChanged: () => handleMediaChanged(video)
+  });
   
-  // Start YouTube ad monitoring if on YouTube
-  if (isYouTube()) {
-    startYouTubeAdMonitoring();
+  // Start ad monitoring on sites where ads can be detected
+  if (siteAdapter.detectsAds) {
+    startAdMonitoring();
   }
 
+  // Let the background script choose between videos in different frames
+  const rect = video.getBoundingClientRect();
+  chrome.runtime.sendMessage({
+    type: 'VIDEO_FOUND',
+    video: { area: rect.width * rect.height }
+  }).catch(() => {
+    // Extension context may not be available
+  });
+
+  // Ask for the room's playback state once the video can be positioned
+  notifyVideoReady(video);
+
+  startHeartbeat();
+
   console.log('Sync Player: Video element monitoring started');
 }
 
+/**
+ * Tell the background script a video is ready so it can apply the room state
+ * Waits for metadata first, since seeking before that is ignored by the browser.
+ * @param {HTMLVideoElement} video - The video element
+ */
+function notifyVideoReady(video) {
+  cancelVideoReady(video);
+
+  const sendReady = () => {
+    pendingReadyListener = null;
+    if (monitoredVideo !== video) return;
+    chrome.runtime.sendMessage({ type: 'VIDEO_READY' }).catch(() => {
+      // Extension context may not be available
+    });
+  };
+
+  if (video.readyState >= HTMLMediaElement.HAVE_METADATA) {
+    sendReady();
+  } else {
+    pendingReadyListener = sendReady;
+    video.addEventListener('loadedmetadata', sendReady, { once: true });
+  }
+}
+
+/**
+ * Stop waiting for a video's metadata to send VIDEO_READY
+ * @param {HTMLVideoElement} video - The video element
+ */
+function cancelVideoReady(video) {
+  if (pendingReadyListener) {
+    video.removeEventListener('loadedmetadata', pendingReadyListener);
+    pendingReadyListener = null;
+  }
+}
+
+/**
+ * Handle the monitored video loading new media, e.g. the next episode in a single-page player
+ * The room state is applied again once the new media is ready.
+ * @param {HTMLVideoElement} video - The video element
+ */
+function handleMediaChanged(video) {
+  if (monitoredVideo !== video) return;
+
+  console.log('Sync Player: Monitored video is loading new media');
+  // Positions in the old media mean nothing in the new one
+  clearTimeout(seekDebounceTimer);
+  stopDriftCorrection();
+  lastSyncedTime = 0;
+
+  notifyVideoReady(video);
+}
+
 /**
  * Remove event listeners from a video element
  * @param {HTMLVideoElement} video - The video element
@@ -418,9 +612,50 @@ function removeVideoListeners(video) {
   video.removeEventListener('pause', handlePause);
   video.removeEventListener('seeked', handleSeeked);
   video.removeEventListener('ratechange', handleRateChange);
+
+  if (stopLifecycleTracking) {
+    stopLifecycleTracking();
+    stopLifecycleTracking = null;
+  }
+  cancelVideoReady(video);
   
-  // Stop YouTube ad monitoring
-  stopYouTubeAdMonitoring();
+  // Stop ad monitoring
+  stopAdMonitoring();
+
+  stopHeartbeat();
+  stopDriftCorrection();
+}
+
+/**
+ * Start sending position heartbeats while the monitored video plays
+ * Only once the background script has asked this frame for them with SET_HEARTBEAT.
+ */
+function startHeartbeat() {
+  stopHeartbeat();
+  if (!heartbeatEnabled || !monitoredVideo) return;
+
+  heartbeatInterval = setInterval(() => {
+    if (!monitoredVideo || siteAdapter.getState(monitoredVideo).paused || isSyncing) return;
+    // A position in media that is still loading would pull others back to the start
+    if (monitoredVideo.readyState < HTMLMediaElement.HAVE_METADATA) return;
+
+    chrome.runtime.sendMessage({
+      type: 'POSITION_HEARTBEAT',
+      state: getVideoState(monitoredVideo)
+    }).catch(() => {
+      // Extension context may not be available
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+}
+
+/**
+ * Stop sending position heartbeats
+ */
+function stopHeartbeat() {
+  if (heartbeatInterval) {
+    clearInterval(heartbeatInterval);
+    heartbeatInterval = null;
+  }
 }
 
 /**
@@ -430,8 +665,8 @@ function handlePlay() {
   if (isSyncing || !monitoredVideo) return;
   
   sendVideoEvent('play', {
-    currentTime: monitoredVideo.currentTime,
-    playbackRate: monitoredVideo.playbackRate
+    currentTime: siteAdapter.getState(monitoredVideo).currentTime,
+    playbackRate: getChosenPlaybackRate(monitoredVideo)
   });
 }
 
@@ -440,9 +675,12 @@ function handlePlay() {
  */
 function handlePause() {
   if (isSyncing || !monitoredVideo) return;
+
+  // A paused video has no drift to correct
+  stopDriftCorrection();
   
   sendVideoEvent('pause', {
-    currentTime: monitoredVideo.currentTime
+    currentTime: siteAdapter.getState(monitoredVideo).currentTime
   });
 }
 
@@ -455,12 +693,13 @@ function handleSeeked() {
   // Debounce seek events with a longer delay to prevent stuttering
   clearTimeout(seekDebounceTimer);
   seekDebounceTimer = setTimeout(() => {
+    const current = siteAdapter.getState(monitoredVideo);
     // Only send seek event if the change is significant
-    if (Math.abs(monitoredVideo.currentTime - lastSyncedTime) > SEEK_THRESHOLD_SECONDS) {
-      lastSyncedTime = monitoredVideo.currentTime;
+    if (Math.abs(current.currentTime - lastSyncedTime) > SEEK_THRESHOLD_SECONDS) {
+      lastSyncedTime = current.currentTime;
       sendVideoEvent('seek', {
-        currentTime: monitoredVideo.currentTime,
-        paused: monitoredVideo.paused
+        currentTime: current.currentTime,
+        paused: current.paused
       });
     }
   }, 300);
@@ -470,10 +709,23 @@ function handleSeeked() {
  * Handle playback rate change event
  */
 function handleRateChange() {
-  if (isSyncing || !monitoredVideo) return;
+  if (!monitoredVideo) return;
+
+  const { playbackRate } = siteAdapter.getState(monitoredVideo);
+  // Ignore rate changes made by the drift controller itself
+  if (selfAppliedRate !== null && playbackRate === selfAppliedRate) {
+    selfAppliedRate = null;
+    return;
+  }
+  selfAppliedRate = null;
+
+  if (isSyncing) return;
+
+  // The user picked a new rate, which replaces the one a nudge would restore
+  nudgeBaseRate = null;
   
   sendVideoEvent('ratechange', {
-    playbackRate: monitoredVideo.playbackRate
+    playbackRate
   });
 }
 
@@ -481,6 +733,11 @@ function handleRateChange() {
  * Handle messages from background script
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Remote events carry the latest clock offset measured by the background script
+  if (typeof message.clockOffset === 'number') {
+    serverClockOffset = message.clockOffset;
+  }
+
   switch (message.type) {
     case 'APPLY_VIDEO_STATE':
       if (monitoredVideo) {
@@ -494,8 +751,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
 
+    case 'POSITION_HEARTBEAT':
+      correctDrift(monitoredVideo, message.state);
+      sendResponse({ success: true });
+      break;
+
     case 'GET_VIDEO_STATE':
-      const video = monitoredVideo || findVideoElement();
+      const video = monitoredVideo || siteAdapter.findVideo();
       if (video) {
         sendResponse({ success: true, state: getVideoState(video) });
       } else {
@@ -504,10 +766,35 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       break;
 
     case 'INIT_SYNC':
+      syncStopped = false;
       initializeSync();
       sendResponse({ success: true });
       break;
 
+    case 'SHOW_VIDEO_PICKER':
+      sendResponse({ success: true, count: startVideoPicker(message.firstNumber) });
+      break;
+
+    case 'SET_HEARTBEAT':
+      heartbeatEnabled = message.enabled === true;
+      if (heartbeatEnabled) {
+        startHeartbeat();
+      } else {
+        stopHeartbeat();
+      }
+      sendResponse({ success: true });
+      break;
+
+    case 'HIDE_VIDEO_PICKER':
+      hideVideoPicker();
+      sendResponse({ success: true });
+      break;
+
+    case 'STOP_SYNC':
+      stopSync();
+      sendResponse({ success: true });
+      break;
+
     default:
       sendResponse({ success: false, error: 'Unknown message type' });
   }
@@ -521,15 +808,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 function handleRemoteVideoEvent(event) {
   if (!monitoredVideo || isSyncing) return;
 
-  // On YouTube, handle ad synchronization
-  if (isYouTube()) {
-    const localAdPlaying = isYouTubeAdPlaying();
+  // On sites with detectable ads, handle ad synchronization
+  if (siteAdapter.detectsAds) {
+    const localAdPlaying = siteAdapter.isAdPlaying();
     const remoteAdPlaying = event.isWatchingAd === true;
     
     if (remoteAdPlaying && !localAdPlaying) {
       // Remote user is watching ad, we are not - pause and wait
-      if (!monitoredVideo.paused) {
-        monitoredVideo.pause();
+      if (!siteAdapter.getState(monitoredVideo).paused) {
+        siteAdapter.pause(monitoredVideo);
       }
       showAdWaitingOverlay();
       return; // Don't process other events while remote user is watching ad
@@ -548,49 +835,52 @@ function handleRemoteVideoEvent(event) {
   }
 
   isSyncing = true;
+  // The remote event may set a new rate, so don't restore the chosen one
+  stopDriftCorrection(event.eventType !== 'play' && event.eventType !== 'ratechange');
 
   try {
+    const current = siteAdapter.getState(monitoredVideo);
     switch (event.eventType) {
       case 'play':
         // Adjust time for network latency
-        const playLatency = (Date.now() - event.timestamp) / 1000;
+        const playLatency = getElapsedSeconds(event);
         const targetPlayTime = event.currentTime + playLatency;
         // Only seek if difference is significant
-        if (Math.abs(monitoredVideo.currentTime - targetPlayTime) > SEEK_THRESHOLD_SECONDS) {
-          monitoredVideo.currentTime = targetPlayTime;
+        if (Math.abs(current.currentTime - targetPlayTime) > SEEK_THRESHOLD_SECONDS) {
+          siteAdapter.seek(monitoredVideo, targetPlayTime);
           lastSyncedTime = targetPlayTime;
         }
-        monitoredVideo.playbackRate = event.playbackRate;
-        monitoredVideo.play().catch(() => {
+        siteAdapter.setPlaybackRate(monitoredVideo, event.playbackRate);
+        siteAdapter.play(monitoredVideo).catch(() => {
           console.log('Sync Player: Autoplay blocked');
         });
         break;
 
       case 'pause':
         // Only seek if difference is significant
-        if (Math.abs(monitoredVideo.currentTime - event.currentTime) > SEEK_THRESHOLD_SECONDS) {
-          monitoredVideo.currentTime = event.currentTime;
+        if (Math.abs(current.currentTime - event.currentTime) > SEEK_THRESHOLD_SECONDS) {
+          siteAdapter.seek(monitoredVideo, event.currentTime);
           lastSyncedTime = event.currentTime;
         }
-        monitoredVideo.pause();
+        siteAdapter.pause(monitoredVideo);
         break;
 
       case 'seek':
         // Only seek if difference is significant to prevent stuttering
-        if (Math.abs(monitoredVideo.currentTime - event.currentTime) > SEEK_THRESHOLD_SECONDS) {
-          monitoredVideo.currentTime = event.currentTime;
+        if (Math.abs(current.currentTime - event.currentTime) > SEEK_THRESHOLD_SECONDS) {
+          siteAdapter.seek(monitoredVideo, event.currentTime);
           lastSyncedTime = event.currentTime;
         }
         // Ensure playback state is synced regardless of seek threshold
-        if (!event.paused && monitoredVideo.paused) {
-          monitoredVideo.play().catch(() => {});
-        } else if (event.paused && !monitoredVideo.paused) {
-          monitoredVideo.pause();
+        if (!event.paused && current.paused) {
+          siteAdapter.play(monitoredVideo).catch(() => {});
+        } else if (event.paused && !current.paused) {
+          siteAdapter.pause(monitoredVideo);
         }
         break;
 
       case 'ratechange':
-        monitoredVideo.playbackRate = event.playbackRate;
+        siteAdapter.setPlaybackRate(monitoredVideo, event.playbackRate);
         break;
     }
   } finally {
@@ -603,51 +893,162 @@ function handleRemoteVideoEvent(event) {
 
 /**
  * Initialize video synchronization
+ * The video chosen for this site is preferred over the one the site adapter would pick.
  */
 function initializeSync() {
-  const video = findVideoElement();
+  if (syncStopped) return;
+
+  const chosen = findChosenVideo(chosenVideo, findVideosDeep(document));
+  if (chosen) {
+    if (chosen !== monitoredVideo) {
+      console.log('Sync Player: Using the video chosen for this site');
+      setupVideoListeners(chosen);
+      claimVideoFrame();
+    }
+    return;
+  }
+
+  const video = siteAdapter.findVideo();
   if (video) {
     setupVideoListeners(video);
   }
 }
 
 /**
- * Observe DOM for dynamically added video elements
+ * Stop following this frame's video after the room moved to another tab
+ * Its events would only be dropped by the background script, so none are sent.
  */
-function observeForVideos() {
-  const observer = new MutationObserver((mutations) => {
-    // Check if a video was added
-    mutations.forEach((mutation) => {
-      mutation.addedNodes.forEach((node) => {
-        if (node.nodeName === 'VIDEO') {
-          initializeSync();
-        } else if (node.querySelector) {
-          const video = node.querySelector('video');
-          if (video) {
-            initializeSync();
-          }
-        }
-      });
-    });
+function stopSync() {
+  syncStopped = true;
+  heartbeatEnabled = false;
+  removeVideoListeners(monitoredVideo);
+  monitoredVideo = null;
+  hideAdWaitingOverlay();
+  hideVideoPicker();
+  console.log('Sync Player: The room moved to another tab, stopped syncing this one');
+}
+
+/**
+ * Number this frame's visible videos for the user to pick from
+ * @param {number} firstNumber - Number of the first video, earlier frames use the numbers before it
+ * @returns {number} How many videos were numbered
+ */
+function startVideoPicker(firstNumber) {
+  const videos = findVideosDeep(document).filter((video) => {
+    const rect = video.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
   });
 
-  // Observe document.documentElement as fallback if body is not available
-  const targetNode = document.body || document.documentElement;
-  observer.observe(targetNode, {
-    childList: true,
-    subtree: true
+  // The top frame always shows the picker's banner, even without videos of its own
+  if (videos.length > 0 || window === window.top) {
+    showVideoPicker(videos, firstNumber, {
+      onPick: handleVideoPicked,
+      onCancel: () => {
+        chrome.runtime.sendMessage({ type: 'CLOSE_VIDEO_PICKER' }).catch(() => {
+          // Extension context may not be available
+        });
+      }
+    });
+  }
+  return videos.length;
+}
+
+/**
+ * Sync the video the user picked and remember it for this site
+ * @param {HTMLVideoElement} video - The picked video
+ */
+function handleVideoPicked(video) {
+  hideVideoPicker();
+
+  chosenVideo = describeChosenVideo(video, findVideosDeep(document));
+  saveChosenVideo(chosenVideo);
+
+  setupVideoListeners(video);
+  claimVideoFrame();
+  console.log('Sync Player: Video chosen with the video picker');
+}
+
+/**
+ * Tell the background script to sync this frame's video, over other frames' videos
+ * It also closes the video picker in every frame of the tab.
+ */
+function claimVideoFrame() {
+  chrome.runtime.sendMessage({ type: 'VIDEO_CHOSEN' }).catch(() => {
+    // Extension context may not be available
   });
 }
 
-// Initialize on page load
-if (document.readyState === 'complete') {
+/**
+ * Re-run video selection after videos were added to or removed from the page
+ * A monitored video that left the page is dropped, e.g. when a player component
+ * replaced it with a new element, and the best remaining video is picked.
+ */
+function handleVideosChanged() {
+  if (monitoredVideo && !monitoredVideo.isConnected) {
+    console.log('Sync Player: Monitored video was removed from the page');
+    removeVideoListeners(monitoredVideo);
+    monitoredVideo = null;
+
+    if (!siteAdapter.findVideo()) {
+      chrome.runtime.sendMessage({ type: 'VIDEO_LOST' }).catch(() => {
+        // Extension context may not be available
+      });
+      return;
+    }
+  }
+
   initializeSync();
-  observeForVideos();
-} else {
-  window.addEventListener('load', () => {
-    initializeSync();
-    observeForVideos();
+}
+
+/**
+ * Hand an invite link opened in this tab to the background script
+ * It joins the room and then takes the tab to the host's video.
+ */
+function checkForInvite() {
+  // Invite links are opened as pages, not embedded
+  if (window !== window.top || !location.hash.startsWith(INVITE_FRAGMENT_PREFIX)) return;
+
+  const params = new URLSearchParams(location.hash.slice(INVITE_FRAGMENT_PREFIX.length));
+  chrome.runtime.sendMessage({
+    type: 'OPEN_INVITE',
+    invite: {
+      roomId: params.get('room'),
+      serverUrl: params.get('server'),
+      token: params.get('token')
+    }
+  }).then((response) => {
+    if (response && response.pending) {
+      console.log('Sync Player: Open the Sync Player popup to join the invited room');
+    } else if (response && !response.success) {
+      console.log('Sync Player: Could not open invite:', response.error);
+    }
+  }).catch(() => {
+    // Extension context may not be available
   });
 }
 
-console.log('Sync Player: Content script loaded');
+checkForInvite();
+
+// A frame that goes away takes its video with it, another frame's video may be synced instead
+window.addEventListener('pagehide', () => {
+  if (!monitoredVideo) return;
+  chrome.runtime.sendMessage({ type: 'VIDEO_LOST' }).catch(() => {
+    // Extension context may not be available
+  });
+});
+
+// Initialize on page load, once the video chosen for this site is known
+loadChosenVideo().then((choice) => {
+  chosenVideo = choice;
+  if (document.readyState === 'complete') {
+    initializeSync();
+    watchForVideos(handleVideosChanged);
+  } else {
+    window.addEventListener('load', () => {
+      initializeSync();
+      watchForVideos(handleVideosChanged);
+    });
+  }
+});
+
+console.log(`Sync Player: Content script loaded (${siteAdapter.name} adapter)`);
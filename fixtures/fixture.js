@@ -0,0 +1,24 @@
+/**
+ * Shared helpers for the fixture pages.
+ * Each page lists its checks in its #results element.
+ */
+
+/**
+ * Show the outcome of a check
+ * @param {string} name - What was checked
+ * @param {boolean} passed - Whether the check passed
+ */
+function check(name, passed) {
+  const li = document.createElement('li');
+  li.className = passed ? 'pass' : 'fail';
+  li.textContent = `${passed ? '✓' : '✗'} ${name}`;
+  document.getElementById('results').appendChild(li);
+}
+
+/**
+ * Wait until pending DOM changes have been delivered to mutation observers
+ * @returns {Promise} Resolves on the next task
+ */
+function nextTask() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
@@ -0,0 +1,219 @@
+/**
+ * Options page script for Sync Player Chrome extension.
+ * Manages the signaling server profiles kept in chrome.storage.sync.
+ */
+
+// DOM element references
+const profilesList = document.getElementById('profiles-list');
+const addProfileForm = document.getElementById('add-profile-form');
+const profileNameInput = document.getElementById('profile-name-input');
+const profileUrlInput = document.getElementById('profile-url-input');
+const statusMessage = document.getElementById('status-message');
+
+// URL schemes a signaling server can be reached on
+const SERVER_URL_PROTOCOLS = ['ws:', 'wss:', 'http:', 'https:'];
+
+/**
+ * Show a status message to the user
+ * @param {string} message - The message to display
+ * @param {string} type - Message type: 'success', 'error', or 'info'
+ * @param {number} duration - How long to show the message in ms
+ */
+function showStatus(message, type = 'info', duration = 3000) {
+  statusMessage.textContent = message;
+  statusMessage.className = `status-message ${type}`;
+  statusMessage.classList.remove('hidden');
+
+  if (duration > 0) {
+    setTimeout(() => {
+      statusMessage.classList.add('hidden');
+    }, duration);
+  }
+}
+
+/**
+ * Get the profiles the user added, without the built-in one
+ * @returns {Promise<Array>} The stored profiles
+ */
+async function getStoredProfiles() {
+  const stored = await chrome.storage.sync.get('serverProfiles');
+  return stored.serverProfiles || [];
+}
+
+/**
+ * Check that a server URL can be connected to
+ * @param {string} url - The URL entered by the user
+ * @returns {string|null} The normalized URL, or null if it isn't a valid server URL
+ */
+function normalizeServerUrl(url) {
+  try {
+    const parsed = new URL(url.trim());
+    return SERVER_URL_PROTOCOLS.includes(parsed.protocol) ? parsed.href.replace(/\/$/, '') : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Render the server profiles, the active one selected
+ */
+async function renderProfiles() {
+  const { profiles, activeProfileId } = await chrome.runtime.sendMessage({ type: 'GET_SERVER_PROFILES' });
+  profilesList.innerHTML = '';
+
+  profiles.forEach(profile => {
+    const li = document.createElement('li');
+    li.classList.toggle('active', profile.id === activeProfileId);
+
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'active-profile';
+    radio.checked = profile.id === activeProfileId;
+    radio.title = 'Use this server for new rooms';
+    radio.addEventListener('change', () => selectProfile(profile));
+
+    const details = document.createElement('div');
+    details.className = 'profile-details';
+
+    const nameDiv = document.createElement('div');
+    nameDiv.className = 'profile-name';
+    nameDiv.textContent = profile.name;
+
+    const urlDiv = document.createElement('div');
+    urlDiv.className = 'profile-url';
+    urlDiv.textContent = profile.url;
+    urlDiv.title = profile.url;
+
+    details.appendChild(nameDiv);
+    details.appendChild(urlDiv);
+
+    const testResult = document.createElement('div');
+    testResult.className = 'profile-test-result hidden';
+
+    const testBtn = document.createElement('button');
+    testBtn.className = 'btn-pill';
+    testBtn.textContent = 'Test connection';
+    testBtn.addEventListener('click', () => testConnection(profile, testBtn, testResult));
+
+    li.appendChild(radio);
+    li.appendChild(details);
+    li.appendChild(testBtn);
+
+    // The built-in profile can't be removed
+    if (profile.id !== 'default') {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn-pill danger';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => deleteProfile(profile, profile.id === activeProfileId));
+      li.appendChild(deleteBtn);
+    }
+
+    li.appendChild(testResult);
+    profilesList.appendChild(li);
+  });
+}
+
+/**
+ * Use a profile's server for new rooms
+ * @param {object} profile - The profile to select
+ */
+async function selectProfile(profile) {
+  try {
+    await chrome.storage.sync.set({ activeServerProfileId: profile.id });
+    showStatus(`New rooms will use ${profile.name}`, 'success', 2000);
+  } catch (error) {
+    showStatus('Failed to select server', 'error');
+    console.error('Select profile error:', error);
+  }
+  renderProfiles();
+}
+
+/**
+ * Remove a profile, the built-in one becomes active if it was selected
+ * @param {object} profile - The profile to delete
+ * @param {boolean} wasActive - Whether the profile was selected
+ */
+async function deleteProfile(profile, wasActive) {
+  try {
+    const profiles = await getStoredProfiles();
+    const changes = { serverProfiles: profiles.filter(stored => stored.id !== profile.id) };
+    if (wasActive) {
+      changes.activeServerProfileId = 'default';
+    }
+    await chrome.storage.sync.set(changes);
+    showStatus(`${profile.name} removed`, 'info', 2000);
+  } catch (error) {
+    showStatus('Failed to remove server', 'error');
+    console.error('Delete profile error:', error);
+  }
+  renderProfiles();
+}
+
+/**
+ * Add a profile from the form
+ * @param {Event} event - The form submit event
+ */
+async function addProfile(event) {
+  event.preventDefault();
+
+  const name = profileNameInput.value.trim();
+  const url = normalizeServerUrl(profileUrlInput.value);
+  if (!name) {
+    showStatus('Please enter a name', 'error');
+    profileNameInput.focus();
+    return;
+  }
+  if (!url) {
+    showStatus('Enter a ws://, wss://, http:// or https:// URL', 'error');
+    profileUrlInput.focus();
+    return;
+  }
+
+  try {
+    const profiles = await getStoredProfiles();
+    profiles.push({ id: crypto.randomUUID(), name, url });
+    await chrome.storage.sync.set({ serverProfiles: profiles });
+    addProfileForm.reset();
+    showStatus(`${name} added`, 'success', 2000);
+  } catch (error) {
+    showStatus('Failed to add server', 'error');
+    console.error('Add profile error:', error);
+  }
+  renderProfiles();
+}
+
+/**
+ * Check that a profile's server answers and show its latency and version
+ * @param {object} profile - The profile to test
+ * @param {HTMLButtonElement} button - The Test connection button
+ * @param {HTMLElement} resultElement - Where the result is shown
+ */
+async function testConnection(profile, button, resultElement) {
+  button.disabled = true;
+  resultElement.className = 'profile-test-result';
+  resultElement.textContent = 'Testing...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'TEST_SERVER_CONNECTION', url: profile.url });
+    if (response.success) {
+      resultElement.classList.add('success');
+      resultElement.textContent = `✓ Connected in ${response.latencyMs} ms` +
+        (response.version ? ` · server version ${response.version}` : ' · server version unknown');
+    } else {
+      resultElement.classList.add('error');
+      resultElement.textContent = `✗ ${response.error || 'Connection failed'}`;
+    }
+  } catch (error) {
+    resultElement.classList.add('error');
+    resultElement.textContent = '✗ Connection failed';
+    console.error('Test connection error:', error);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Event listeners
+addProfileForm.addEventListener('submit', addProfile);
+
+// Initialize options page
+document.addEventListener('DOMContentLoaded', renderProfiles);
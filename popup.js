@@ -10,17 +10,106 @@ const createRoomBtn = document.getElementById('create-room-btn');
 const joinRoomBtn = document.getElementById('join-room-btn');
 const leaveRoomBtn = document.getElementById('leave-room-btn');
 const syncNowBtn = document.getElementById('sync-now-btn');
+const chooseVideoBtn = document.getElementById('choose-video-btn');
 const copyRoomIdBtn = document.getElementById('copy-room-id');
 const roomIdInput = document.getElementById('room-id-input');
 const usernameInput = document.getElementById('username-input');
 const currentRoomIdDisplay = document.getElementById('current-room-id');
 const statusMessage = document.getElementById('status-message');
 const connectionStatus = document.getElementById('connection-status');
+const retryConnectionBtn = document.getElementById('retry-connection-btn');
+const otherRoomsSection = document.getElementById('other-rooms-section');
+const otherRoomsList = document.getElementById('other-rooms-list');
 const userCountDisplay = document.getElementById('user-count');
 const usersList = document.getElementById('users-list');
+const successorSection = document.getElementById('successor-section');
+const successorSelect = document.getElementById('successor-select');
+const hostOnlyToggle = document.getElementById('host-only-toggle');
+const roomPasswordInput = document.getElementById('room-password-input');
+const joinPasswordSection = document.getElementById('join-password-section');
+const joinPasswordLabel = document.getElementById('join-password-label');
+const joinPasswordInput = document.getElementById('join-password-input');
+const roomLockedIcon = document.getElementById('room-locked-icon');
+const roomServerName = document.getElementById('room-server-name');
+const openOptionsBtn = document.getElementById('open-options-btn');
+const lobbyToggle = document.getElementById('lobby-toggle');
+const joinRequestsSection = document.getElementById('join-requests-section');
+const joinRequestsList = document.getElementById('join-requests-list');
+const invitesSection = document.getElementById('invites-section');
+const invitesList = document.getElementById('invites-list');
+const inviteRoleSelect = document.getElementById('invite-role-select');
+const inviteExpirySelect = document.getElementById('invite-expiry-select');
+const inviteUsesSelect = document.getElementById('invite-uses-select');
+const createInviteBtn = document.getElementById('create-invite-btn');
+const inviteQr = document.getElementById('invite-qr');
+const inviteQrCanvas = document.getElementById('invite-qr-canvas');
+const showQrLargeBtn = document.getElementById('show-qr-large-btn');
+const qrLargeView = document.getElementById('qr-large-view');
+const qrLargeCanvas = document.getElementById('qr-large-canvas');
+const qrLargeRoomId = document.getElementById('qr-large-room-id');
 
 // Current user's ID (for identifying self in user list)
 let currentUserId = null;
+// Whether the current user is the room host
+let isCurrentUserHost = false;
+// The active tab, the popup shows and manages the room synced with it
+let activeTabId = null;
+// Invite link of the active tab's room, copied by the copy button
+let inviteLink = null;
+// Invite from an unknown server opened in the active tab, prefilled for the user to confirm
+let pendingInvite = null;
+// Frame of the active tab whose video is synced, null until one reports a video
+let videoFrameId = null;
+// Invite link the small QR code currently shows
+let renderedQrLink = null;
+// Display labels for room roles
+const ROLE_LABELS = {
+  host: 'Host',
+  cohost: 'Co-host',
+  viewer: 'Viewer'
+};
+// Confirmations for the host's user management actions
+const USER_ACTION_MESSAGES = {
+  TRANSFER_HOST: 'Host transferred',
+  SET_ROLE: 'Role updated',
+  KICK_USER: 'User removed',
+  BAN_USER: 'User banned'
+};
+// Fallback explanations for being turned away or removed from a room
+const REMOVAL_MESSAGES = {
+  JOIN_DENIED: 'The host declined your request to join',
+  JOIN_REQUEST_TIMED_OUT: 'The host did not respond to your request to join',
+  KICKED: 'The host removed you from the room',
+  BANNED: 'The host banned you from the room',
+  INVITE_INVALID: 'This invite link is no longer valid',
+  ROOM_CREATED_MEANWHILE: 'Someone else created this room at the same time',
+  PASSWORD_CHECK_FAILED: 'The room password could not be checked, try again'
+};
+// Password prompt headings for each reason the server gave for refusing the join
+const PASSWORD_PROMPT_LABELS = {
+  AUTH_REQUIRED: '🔒 This room is password protected',
+  AUTH_FAILED: '🔒 Incorrect password, try again',
+  AUTH_RATE_LIMITED: '🔒 Too many wrong passwords, wait a moment'
+};
+// Largest size of the invite QR code in the popup and in "show large" mode, in CSS pixels
+const QR_CODE_SIZE = 120;
+const QR_CODE_LARGE_SIZE = 480;
+// Light modules around the QR code that scanners need to find it
+const QR_QUIET_ZONE_MODULES = 4;
+// Status badge text for each connection state reported by the background script
+const CONNECTION_STATE_LABELS = {
+  idle: 'Connecting...',
+  connecting: 'Connecting...',
+  connected: 'Connected',
+  failed: 'Connection failed',
+  offline: 'Offline'
+};
+// Connection states in which the Retry now button is offered
+const RETRYABLE_CONNECTION_STATES = ['backoff', 'failed', 'offline'];
+// Timer that counts down to the next reconnection attempt
+let reconnectCountdownTimer = null;
+// Delay before refreshing the users list after a role change, so the server can broadcast it
+const ROLE_REFRESH_DELAY_MS = 300;
 
 /**
  * Show a status message to the user
@@ -43,17 +132,30 @@ function showStatus(message, type = 'info', duration = 3000) {
 /**
  * Update the UI based on current room state
  * @param {object|null} room - The current room info or null if not in a room
- * @param {boolean} connected - Whether connected to signaling server
+ * @param {object|null} connectionState - Connection state from the background script
  * @param {Array} users - List of users in the room
  */
-function updateUI(room, connected = false, users = []) {
+function updateUI(room, connectionState = null, users = []) {
   if (room) {
     notInRoomSection.classList.add('hidden');
     inRoomSection.classList.remove('hidden');
     currentRoomIdDisplay.textContent = room.id;
+    roomLockedIcon.classList.toggle('hidden', !room.passwordProtected);
+    roomServerName.textContent = room.serverName || '';
+    roomServerName.title = room.serverUrl || '';
+    isCurrentUserHost = Boolean(room.isHost);
+    
+    // Only the host can change room settings
+    hostOnlyToggle.checked = Boolean(room.settings && room.settings.hostOnlyControl);
+    hostOnlyToggle.disabled = !isCurrentUserHost;
+    lobbyToggle.checked = Boolean(room.settings && room.settings.lobby);
+    lobbyToggle.disabled = !isCurrentUserHost;
     
     // Update connection status
-    updateConnectionStatus(connected);
+    updateConnectionStatus(connectionState);
+    if (room.pending && connectionState && connectionState.status === 'connected') {
+      connectionStatus.textContent = 'Waiting for host approval...';
+    }
     
     // Update user count and list
     updateUsersList(users);
@@ -61,20 +163,365 @@ function updateUI(room, connected = false, users = []) {
     notInRoomSection.classList.remove('hidden');
     inRoomSection.classList.add('hidden');
     roomIdInput.value = '';
+    isCurrentUserHost = false;
+    updateJoinRequests([]);
+    updateInvites([]);
+  }
+}
+
+/**
+ * Update the list of users waiting to join, shown to the host
+ * @param {Array} requests - Pending join requests with requestId and username
+ */
+function updateJoinRequests(requests) {
+  joinRequestsList.innerHTML = '';
+  joinRequestsSection.classList.toggle('hidden', !isCurrentUserHost || requests.length === 0);
+  
+  requests.forEach(request => {
+    const li = document.createElement('li');
+    
+    const iconSpan = document.createElement('span');
+    iconSpan.className = 'user-icon';
+    iconSpan.textContent = '🚪';
+    
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'user-name';
+    nameSpan.textContent = request.username || 'Anonymous';
+    
+    const approveBtn = document.createElement('button');
+    approveBtn.className = 'btn-icon btn-role';
+    approveBtn.textContent = '✅';
+    approveBtn.title = 'Approve';
+    approveBtn.addEventListener('click', () => respondToJoinRequest(request, true));
+    
+    const denyBtn = document.createElement('button');
+    denyBtn.className = 'btn-icon btn-role';
+    denyBtn.textContent = '❌';
+    denyBtn.title = 'Deny';
+    denyBtn.addEventListener('click', () => respondToJoinRequest(request, false));
+    
+    li.appendChild(iconSpan);
+    li.appendChild(nameSpan);
+    li.appendChild(approveBtn);
+    li.appendChild(denyBtn);
+    joinRequestsList.appendChild(li);
+  });
+}
+
+/**
+ * Approve or deny a request to join the room
+ * @param {object} request - The join request
+ * @param {boolean} approved - Whether to let the user in
+ */
+async function respondToJoinRequest(request, approved) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'RESPOND_JOIN_REQUEST',
+      tabId: activeTabId,
+      requestId: request.requestId,
+      approved
+    });
+    
+    if (response.success) {
+      showStatus(`${request.username || 'Anonymous'} was ${approved ? 'let in' : 'turned away'}`, 'success', 2000);
+      refreshRoomStatus();
+    } else {
+      showStatus(response.error || 'Failed to answer join request', 'error');
+    }
+  } catch (error) {
+    showStatus('Error answering join request', 'error');
+    console.error('Join request error:', error);
+  }
+}
+
+/**
+ * Describe how long until a time, in the largest whole unit
+ * @param {number} timestamp - The time in ms since the epoch
+ * @returns {string} e.g. "3h" or "45m"
+ */
+function formatTimeLeft(timestamp) {
+  const minutes = Math.max(1, Math.round((timestamp - Date.now()) / 60000));
+  if (minutes >= 1440) {
+    return `${Math.floor(minutes / 1440)}d`;
+  }
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h` : `${minutes}m`;
+}
+
+/**
+ * Update the list of outstanding invites, shown to the host
+ * @param {Array} invites - Invites with inviteId, role, uses, maxUses, expiresAt and link
+ */
+function updateInvites(invites) {
+  invitesList.innerHTML = '';
+  invitesSection.classList.toggle('hidden', !isCurrentUserHost);
+  
+  invites.forEach(invite => {
+    const li = document.createElement('li');
+    
+    const iconSpan = document.createElement('span');
+    iconSpan.className = 'user-icon';
+    iconSpan.textContent = '🎟️';
+    
+    const detailsSpan = document.createElement('span');
+    detailsSpan.className = 'invite-details';
+    const uses = invite.maxUses ? `${invite.uses}/${invite.maxUses} uses` : `${invite.uses} uses`;
+    detailsSpan.textContent = `${ROLE_LABELS[invite.role] || invite.role} · ${uses} · ${formatTimeLeft(invite.expiresAt)} left`;
+    
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'btn-icon btn-role';
+    copyBtn.textContent = '📋';
+    copyBtn.title = 'Copy invite link';
+    copyBtn.addEventListener('click', () => copyTokenInviteLink(invite));
+    
+    const revokeBtn = document.createElement('button');
+    revokeBtn.className = 'btn-icon btn-role';
+    revokeBtn.textContent = '❌';
+    revokeBtn.title = 'Revoke';
+    revokeBtn.addEventListener('click', () => revokeInvite(invite));
+    
+    li.appendChild(iconSpan);
+    li.appendChild(detailsSpan);
+    li.appendChild(copyBtn);
+    li.appendChild(revokeBtn);
+    invitesList.appendChild(li);
+  });
+}
+
+/**
+ * Create an invite with the role, expiry and use limit picked in the popup
+ * The new invite shows up in the list once the server confirms it.
+ */
+async function createInvite() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'CREATE_INVITE',
+      tabId: activeTabId,
+      role: inviteRoleSelect.value,
+      expiresInMs: Number(inviteExpirySelect.value),
+      maxUses: inviteUsesSelect.value ? Number(inviteUsesSelect.value) : null
+    });
+    
+    if (response.success) {
+      showStatus('Invite created', 'success', 2000);
+    } else {
+      showStatus(response.error || 'Failed to create invite', 'error');
+    }
+  } catch (error) {
+    showStatus('Error creating invite', 'error');
+    console.error('Create invite error:', error);
+  }
+}
+
+/**
+ * Copy an invite's link to the clipboard
+ * @param {object} invite - The invite
+ */
+async function copyTokenInviteLink(invite) {
+  try {
+    await navigator.clipboard.writeText(invite.link);
+    showStatus('Invite link copied!', 'success', 2000);
+  } catch (error) {
+    showStatus('Failed to copy', 'error');
+    console.error('Copy error:', error);
+  }
+}
+
+/**
+ * Revoke an invite so its link no longer lets anyone in
+ * @param {object} invite - The invite
+ */
+async function revokeInvite(invite) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'REVOKE_INVITE',
+      tabId: activeTabId,
+      inviteId: invite.inviteId
+    });
+    
+    if (response.success) {
+      showStatus('Invite revoked', 'success', 2000);
+    } else {
+      showStatus(response.error || 'Failed to revoke invite', 'error');
+    }
+  } catch (error) {
+    showStatus('Error revoking invite', 'error');
+    console.error('Revoke invite error:', error);
   }
 }
 
+/**
+ * Explain why we are not in the room we tried to join or were in
+ * Password rejections prompt for the password, the rest just show the reason.
+ * @param {object} removalNotice - The notice reported by the background script
+ */
+function showRemovalNotice(removalNotice) {
+  if (['AUTH_REQUIRED', 'AUTH_FAILED', 'AUTH_RATE_LIMITED'].includes(removalNotice.code)) {
+    showPasswordPrompt(removalNotice);
+    return;
+  }
+  
+  updateUI(null);
+  hidePasswordPrompt();
+  showStatus(removalNotice.error || REMOVAL_MESSAGES[removalNotice.code] || 'You are no longer in the room', 'error', 5000);
+}
+
+/**
+ * Ask for the password of a protected room the server refused to let us join
+ * @param {object} authError - The AUTH_REQUIRED, AUTH_FAILED or AUTH_RATE_LIMITED error from the background script
+ */
+function showPasswordPrompt(authError) {
+  updateUI(null);
+  roomIdInput.value = authError.roomId || '';
+  joinPasswordLabel.textContent = PASSWORD_PROMPT_LABELS[authError.code] || PASSWORD_PROMPT_LABELS.AUTH_REQUIRED;
+  joinPasswordInput.value = '';
+  joinPasswordSection.classList.remove('hidden');
+  joinPasswordInput.focus();
+  showStatus(authError.error || 'This room is password protected', 'error');
+}
+
+/**
+ * Prefill the join form from an invite link whose server isn't one of the user's profiles
+ * @param {object} invite - roomId, serverUrl, serverName and optional token
+ */
+function showPendingInvite(invite) {
+  if (pendingInvite && pendingInvite.roomId === invite.roomId) return;
+
+  pendingInvite = invite;
+  roomIdInput.value = invite.roomId;
+  showStatus(`Invite to room ${invite.roomId} on ${invite.serverName}. Click Join Room to join.`, 'info', 0);
+}
+
+/**
+ * Hide the password prompt
+ */
+function hidePasswordPrompt() {
+  joinPasswordSection.classList.add('hidden');
+  joinPasswordInput.value = '';
+}
+
 /**
  * Update the connection status display
- * @param {boolean} connected - Whether connected to signaling server
+ * While waiting to reconnect the badge counts down to the next attempt.
+ * @param {object|null} connectionState - Connection state from the background script
  */
-function updateConnectionStatus(connected) {
-  if (connected) {
-    connectionStatus.textContent = 'Connected';
-    connectionStatus.classList.remove('disconnected');
+function updateConnectionStatus(connectionState) {
+  clearTimeout(reconnectCountdownTimer);
+  const status = connectionState ? connectionState.status : 'connecting';
+
+  connectionStatus.classList.toggle('disconnected', status !== 'connected');
+  connectionStatus.title = (status !== 'connected' && connectionState && connectionState.lastError) || '';
+  retryConnectionBtn.classList.toggle('hidden', !RETRYABLE_CONNECTION_STATES.includes(status));
+
+  if (status === 'backoff' && connectionState.nextRetryAt) {
+    const seconds = Math.max(0, Math.ceil((connectionState.nextRetryAt - Date.now()) / 1000));
+    connectionStatus.textContent = `Reconnecting in ${seconds}s`;
+    reconnectCountdownTimer = setTimeout(() => updateConnectionStatus(connectionState), 1000);
   } else {
-    connectionStatus.textContent = 'Connecting...';
-    connectionStatus.classList.add('disconnected');
+    connectionStatus.textContent = CONNECTION_STATE_LABELS[status] || 'Connecting...';
+  }
+}
+
+/**
+ * List the rooms synced with other tabs
+ * A room whose tab was closed can be synced with the active tab if it isn't in a room.
+ * @param {Array} rooms - All rooms we are in, with the ID of their synced tab
+ * @param {boolean} activeTabInRoom - Whether the active tab is in a room
+ */
+async function updateOtherRooms(rooms, activeTabInRoom) {
+  const otherRooms = (rooms || []).filter(room => room.tabId === null || room.tabId !== activeTabId);
+  otherRoomsList.innerHTML = '';
+  otherRoomsSection.classList.toggle('hidden', otherRooms.length === 0);
+
+  for (const room of otherRooms) {
+    const tab = room.tabId === null ? null : await chrome.tabs.get(room.tabId).catch(() => null);
+    const li = document.createElement('li');
+
+    const idSpan = document.createElement('span');
+    idSpan.className = 'other-room-id';
+    idSpan.textContent = room.id;
+
+    const titleSpan = document.createElement('span');
+    titleSpan.className = 'synced-tab-title';
+    titleSpan.textContent = tab ? (tab.title || tab.url) : 'No tab synced';
+    titleSpan.title = tab ? (tab.url || '') : '';
+
+    li.appendChild(idSpan);
+    li.appendChild(titleSpan);
+
+    if (tab) {
+      const goBtn = document.createElement('button');
+      goBtn.className = 'btn-pill';
+      goBtn.textContent = 'Go to tab';
+      goBtn.addEventListener('click', () => focusTab(tab));
+      li.appendChild(goBtn);
+    } else if (!activeTabInRoom) {
+      const syncBtn = document.createElement('button');
+      syncBtn.className = 'btn-pill';
+      syncBtn.textContent = 'Sync this tab';
+      syncBtn.title = 'Sync the video in this tab with the room';
+      syncBtn.addEventListener('click', () => syncThisTab(room.id));
+      li.appendChild(syncBtn);
+    }
+
+    otherRoomsList.appendChild(li);
+  }
+}
+
+/**
+ * Switch to the tab of another room
+ * @param {object} tab - The tab to activate
+ */
+async function focusTab(tab) {
+  try {
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (error) {
+    showStatus('Could not switch to that tab', 'error');
+    console.error('Focus tab error:', error);
+  }
+}
+
+/**
+ * Sync the video in the active tab with a room that has no tab
+ * @param {string} roomId - The room to sync with this tab
+ */
+async function syncThisTab(roomId) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SET_SYNCED_TAB', roomId, tabId: activeTabId });
+    if (response.success) {
+      await refreshRoomStatus();
+      initializeVideoSync();
+      showStatus('Now syncing this tab', 'success', 2000);
+    } else {
+      showStatus(response.error || 'Failed to sync this tab', 'error');
+    }
+  } catch (error) {
+    showStatus('Error syncing this tab', 'error');
+    console.error('Sync this tab error:', error);
+  }
+}
+
+/**
+ * Get the ID of the active tab, whose room the popup shows
+ * @returns {Promise<number|null>} The tab ID, or null if there is no active tab
+ */
+async function getActiveTabId() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab ? tab.id : null;
+}
+
+/**
+ * Reconnect to the sync server without waiting for the next scheduled attempt
+ */
+async function retryConnection() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'RETRY_CONNECTION' });
+    if (!response.success) {
+      showStatus(response.error || 'Failed to reconnect', 'error');
+    }
+  } catch (error) {
+    console.error('Error retrying connection:', error);
+    showStatus('Failed to reconnect', 'error');
   }
 }
 
@@ -134,15 +581,137 @@ function updateUsersList(users) {
     li.appendChild(iconSpan);
     li.appendChild(nameSpan);
     
+    if (user.role && ROLE_LABELS[user.role]) {
+      const roleSpan = document.createElement('span');
+      roleSpan.className = `role-badge role-${user.role}`;
+      roleSpan.textContent = ROLE_LABELS[user.role];
+      li.appendChild(roleSpan);
+    }
+    
     if (isCurrentUser) {
       const badgeSpan = document.createElement('span');
       badgeSpan.className = 'you-badge';
       badgeSpan.textContent = 'You';
       li.appendChild(badgeSpan);
+    } else if (isCurrentUserHost) {
+      li.appendChild(createRoleControls(user));
     }
     
     usersList.appendChild(li);
   });
+
+  updateSuccessorOptions(users);
+}
+
+/**
+ * Create the host's promote/demote, transfer, kick and ban controls for a user
+ * @param {object} user - The user the controls act on
+ * @returns {HTMLElement} The controls container
+ */
+function createRoleControls(user) {
+  const controls = document.createElement('span');
+  controls.className = 'role-controls';
+  
+  const isCohost = user.role === 'cohost';
+  const roleBtn = document.createElement('button');
+  roleBtn.className = 'btn-icon btn-role';
+  roleBtn.textContent = isCohost ? '⬇' : '⬆';
+  roleBtn.title = isCohost ? 'Demote to viewer' : 'Promote to co-host';
+  roleBtn.addEventListener('click', () => {
+    manageUserRole({ type: 'SET_ROLE', userId: user.id, role: isCohost ? 'viewer' : 'cohost' });
+  });
+  
+  const hostBtn = document.createElement('button');
+  hostBtn.className = 'btn-icon btn-role';
+  hostBtn.textContent = '👑';
+  hostBtn.title = 'Make host';
+  hostBtn.addEventListener('click', () => {
+    manageUserRole({ type: 'TRANSFER_HOST', userId: user.id });
+  });
+  
+  const kickBtn = document.createElement('button');
+  kickBtn.className = 'btn-icon btn-role';
+  kickBtn.textContent = '👢';
+  kickBtn.title = 'Remove from room';
+  kickBtn.addEventListener('click', () => {
+    manageUserRole({ type: 'KICK_USER', userId: user.id });
+  });
+  
+  const banBtn = document.createElement('button');
+  banBtn.className = 'btn-icon btn-role';
+  banBtn.textContent = '🚫';
+  banBtn.title = 'Ban from room';
+  banBtn.addEventListener('click', () => {
+    manageUserRole({ type: 'BAN_USER', userId: user.id });
+  });
+  
+  // Blocking the address also shuts out everyone sharing their network, so it is a separate choice
+  const banAddressBtn = document.createElement('button');
+  banAddressBtn.className = 'btn-icon btn-role';
+  banAddressBtn.textContent = '🌐';
+  banAddressBtn.title = 'Ban from room and block their network address (also blocks everyone on the same network)';
+  banAddressBtn.addEventListener('click', () => {
+    manageUserRole({ type: 'BAN_USER', userId: user.id, banAddress: true });
+  });
+  
+  controls.appendChild(roleBtn);
+  controls.appendChild(hostBtn);
+  controls.appendChild(kickBtn);
+  controls.appendChild(banBtn);
+  controls.appendChild(banAddressBtn);
+  return controls;
+}
+
+/**
+ * Send a user management request and refresh the users list
+ * @param {object} request - TRANSFER_HOST, SET_ROLE, KICK_USER or BAN_USER message for the background script
+ */
+async function manageUserRole(request) {
+  try {
+    const response = await chrome.runtime.sendMessage({ ...request, tabId: activeTabId });
+    
+    if (response.success) {
+      showStatus(USER_ACTION_MESSAGES[request.type] || 'Role updated', 'success', 2000);
+      setTimeout(refreshRoomStatus, ROLE_REFRESH_DELAY_MS);
+    } else {
+      showStatus(response.error || 'Failed to update role', 'error');
+    }
+  } catch (error) {
+    showStatus('Error updating role', 'error');
+    console.error('Role update error:', error);
+  }
+}
+
+/**
+ * Update the host successor dropdown shown to the host
+ * @param {Array} users - List of users in the room
+ */
+function updateSuccessorOptions(users) {
+  const otherUsers = (users || []).filter(user => user.id !== currentUserId);
+  
+  if (!isCurrentUserHost || otherUsers.length === 0) {
+    successorSection.classList.add('hidden');
+    return;
+  }
+  
+  // Keep the current pick if that user is still in the room
+  const selected = successorSelect.value;
+  successorSelect.innerHTML = '';
+  
+  const defaultOption = document.createElement('option');
+  defaultOption.value = '';
+  defaultOption.textContent = 'Longest-connected user';
+  successorSelect.appendChild(defaultOption);
+  
+  otherUsers.forEach(user => {
+    const option = document.createElement('option');
+    option.value = user.id;
+    option.textContent = user.name || 'Anonymous';
+    successorSelect.appendChild(option);
+  });
+  
+  successorSelect.value = otherUsers.some(user => user.id === selected) ? selected : '';
+  successorSection.classList.remove('hidden');
 }
 
 /**
@@ -165,12 +734,17 @@ async function createRoom() {
     const username = getUsername();
     const response = await chrome.runtime.sendMessage({ 
       type: 'CREATE_ROOM',
-      username: username
+      username: username,
+      password: roomPasswordInput.value,
+      tabId: activeTabId
     });
     
     if (response.success) {
+      roomPasswordInput.value = '';
+      hidePasswordPrompt();
       currentUserId = response.userId;
-      updateUI({ id: response.roomId, isHost: true }, false, response.users || []);
+      updateUI({ id: response.roomId, isHost: true, passwordProtected: response.passwordProtected }, null, response.users || []);
+      refreshRoomStatus();
       showStatus('Room created! Connecting...', 'success');
       initializeVideoSync();
       // Poll for connection status and users
@@ -191,7 +765,7 @@ async function createRoom() {
  * Join an existing room
  */
 async function joinRoom() {
-  const roomId = roomIdInput.value.trim().toUpperCase();
+  const roomId = normalizeRoomId(roomIdInput.value);
   
   if (!roomId) {
     showStatus('Please enter a Room ID', 'error');
@@ -199,8 +773,8 @@ async function joinRoom() {
     return;
   }
 
-  if (roomId.length < 6) {
-    showStatus('Room ID must be 6 characters', 'error');
+  if (!isValidRoomId(roomId)) {
+    showStatus(`Room ID must be 1-${ROOM_ID_MAX_LENGTH} letters or digits`, 'error');
     roomIdInput.focus();
     return;
   }
@@ -213,12 +787,17 @@ async function joinRoom() {
     const response = await chrome.runtime.sendMessage({ 
       type: 'JOIN_ROOM', 
       roomId,
-      username: username
+      username: username,
+      password: joinPasswordInput.value,
+      tabId: activeTabId,
+      invite: pendingInvite && pendingInvite.roomId === roomId ? pendingInvite : null
     });
     
     if (response.success) {
+      hidePasswordPrompt();
       currentUserId = response.userId;
-      updateUI({ id: response.roomId, isHost: false }, false, response.users || []);
+      updateUI({ id: response.roomId, isHost: false }, null, response.users || []);
+      refreshRoomStatus();
       showStatus('Joined room! Connecting...', 'success');
       initializeVideoSync();
       // Poll for connection status and users
@@ -243,10 +822,15 @@ async function leaveRoom() {
     leaveRoomBtn.disabled = true;
     leaveRoomBtn.textContent = 'Leaving...';
 
-    const response = await chrome.runtime.sendMessage({ type: 'LEAVE_ROOM' });
+    const response = await chrome.runtime.sendMessage({ 
+      type: 'LEAVE_ROOM',
+      tabId: activeTabId,
+      successorId: successorSelect.value || null
+    });
     
     if (response.success) {
       updateUI(null);
+      refreshRoomStatus();
       showStatus('Left room', 'info');
     } else {
       showStatus(response.error || 'Failed to leave room', 'error');
@@ -261,14 +845,12 @@ async function leaveRoom() {
 }
 
 /**
- * Copy room ID to clipboard
+ * Copy the room's invite link to the clipboard
  */
-async function copyRoomId() {
-  const roomId = currentRoomIdDisplay.textContent;
-  
+async function copyInviteLink() {
   try {
-    await navigator.clipboard.writeText(roomId);
-    showStatus('Room ID copied!', 'success', 2000);
+    await navigator.clipboard.writeText(inviteLink || currentRoomIdDisplay.textContent);
+    showStatus(inviteLink ? 'Invite link copied!' : 'Room ID copied!', 'success', 2000);
     
     // Visual feedback
     copyRoomIdBtn.textContent = '✓';
@@ -281,6 +863,84 @@ async function copyRoomId() {
   }
 }
 
+/**
+ * Draw a QR code on a canvas, each module a whole number of device pixels so it stays sharp
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on
+ * @param {string} text - The text to encode
+ * @param {number} maxSize - The largest size to draw it at, in CSS pixels
+ */
+function drawQrCode(canvas, text, maxSize) {
+  const qr = generateQrCode(text);
+  const totalModules = qr.size + QR_QUIET_ZONE_MODULES * 2;
+  const pixelRatio = window.devicePixelRatio || 1;
+  const scale = Math.max(1, Math.floor(maxSize * pixelRatio / totalModules));
+  
+  canvas.width = totalModules * scale;
+  canvas.height = totalModules * scale;
+  canvas.style.width = `${canvas.width / pixelRatio}px`;
+  canvas.style.height = `${canvas.height / pixelRatio}px`;
+  
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = '#000';
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        context.fillRect((x + QR_QUIET_ZONE_MODULES) * scale, (y + QR_QUIET_ZONE_MODULES) * scale, scale, scale);
+      }
+    });
+  });
+}
+
+/**
+ * Show a QR code of the room's invite link, or hide it when there is no link
+ * @param {string|null} link - The invite link
+ */
+function updateInviteQr(link) {
+  inviteQr.classList.toggle('hidden', !link);
+  if (!link) {
+    hideLargeQrCode();
+    return;
+  }
+  if (link === renderedQrLink) {
+    return;
+  }
+  
+  try {
+    drawQrCode(inviteQrCanvas, link, QR_CODE_SIZE);
+    renderedQrLink = link;
+  } catch (error) {
+    inviteQr.classList.add('hidden');
+    console.error('QR code error:', error);
+  }
+}
+
+/**
+ * Fill the popup with the invite QR code so it can be scanned from across the room
+ */
+function showLargeQrCode() {
+  if (!inviteLink) {
+    return;
+  }
+  
+  try {
+    drawQrCode(qrLargeCanvas, inviteLink, QR_CODE_LARGE_SIZE);
+    qrLargeRoomId.textContent = currentRoomIdDisplay.textContent;
+    document.body.classList.add('qr-large-mode');
+  } catch (error) {
+    showStatus('Failed to show QR code', 'error');
+    console.error('QR code error:', error);
+  }
+}
+
+/**
+ * Go back from the large QR code to the popup
+ */
+function hideLargeQrCode() {
+  document.body.classList.remove('qr-large-mode');
+}
+
 /**
  * Sync video state now
  */
@@ -288,26 +948,23 @@ async function syncNow() {
   try {
     syncNowBtn.disabled = true;
     
-    // Get the current tab
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    
-    if (!tab) {
-      showStatus('No active tab found', 'error');
-      return;
-    }
-
-    // Request video state from content script
-    const response = await chrome.tabs.sendMessage(tab.id, { 
+    // Request video state from the content script of the frame with this tab's video
+    const response = await chrome.tabs.sendMessage(activeTabId, { 
       type: 'GET_VIDEO_STATE' 
-    });
+    }, { frameId: videoFrameId ?? 0 });
     
     if (response.success && response.state) {
-      // Broadcast the state to other tabs
-      await chrome.runtime.sendMessage({
+      // Broadcast the state to the room
+      const syncResponse = await chrome.runtime.sendMessage({
         type: 'SYNC_VIDEO_STATE',
+        tabId: activeTabId,
         state: response.state
       });
-      showStatus('Video synced!', 'success', 2000);
+      if (syncResponse.success) {
+        showStatus('Video synced!', 'success', 2000);
+      } else {
+        showStatus(syncResponse.error || 'Failed to sync video', 'error');
+      }
     } else {
       showStatus('No video found on this page', 'error');
     }
@@ -319,6 +976,31 @@ async function syncNow() {
   }
 }
 
+/**
+ * Number the videos on the page so the user can click the one to sync
+ */
+async function chooseVideo() {
+  try {
+    chooseVideoBtn.disabled = true;
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'SHOW_VIDEO_PICKER',
+      tabId: activeTabId
+    });
+
+    if (response.success && response.count > 0) {
+      showStatus('Click the video to sync on the page', 'info');
+    } else {
+      showStatus('No videos found on this page', 'error');
+    }
+  } catch (error) {
+    showStatus('Error showing the video picker', 'error');
+    console.error('Video picker error:', error);
+  } finally {
+    chooseVideoBtn.disabled = false;
+  }
+}
+
 /**
  * Initialize video synchronization on the current tab
  */
@@ -346,12 +1028,89 @@ async function checkRoomStatus() {
       usernameInput.value = stored.username;
     }
     
-    const response = await chrome.runtime.sendMessage({ type: 'GET_ROOM_STATUS' });
-    currentUserId = response.userId || null;
-    updateUI(response.room, response.connected, response.users || []);
+    activeTabId = await getActiveTabId();
+    await refreshRoomStatus();
   } catch (error) {
     console.error('Error checking room status:', error);
-    updateUI(null, false, []);
+    updateUI(null, null, []);
+  }
+}
+
+/**
+ * Toggle host-only playback control for the room
+ */
+async function toggleHostOnlyControl() {
+  const hostOnlyControl = hostOnlyToggle.checked;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPDATE_ROOM_SETTINGS',
+      tabId: activeTabId,
+      settings: { hostOnlyControl }
+    });
+    
+    if (response.success) {
+      showStatus(hostOnlyControl ? 'Only host & co-hosts can control playback' : 'Everyone can control playback', 'success', 2000);
+    } else {
+      hostOnlyToggle.checked = !hostOnlyControl;
+      showStatus(response.error || 'Failed to update room settings', 'error');
+    }
+  } catch (error) {
+    hostOnlyToggle.checked = !hostOnlyControl;
+    showStatus('Error updating room settings', 'error');
+    console.error('Room settings error:', error);
+  }
+}
+
+/**
+ * Toggle lobby mode, where new users wait for the host's approval
+ */
+async function toggleLobby() {
+  const lobby = lobbyToggle.checked;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPDATE_ROOM_SETTINGS',
+      tabId: activeTabId,
+      settings: { lobby }
+    });
+    
+    if (response.success) {
+      showStatus(lobby ? 'New users need your approval to join' : 'Anyone with the Room ID can join', 'success', 2000);
+    } else {
+      lobbyToggle.checked = !lobby;
+      showStatus(response.error || 'Failed to update room settings', 'error');
+    }
+  } catch (error) {
+    lobbyToggle.checked = !lobby;
+    showStatus('Error updating room settings', 'error');
+    console.error('Room settings error:', error);
+  }
+}
+
+/**
+ * Refresh the room display from the background script
+ */
+async function refreshRoomStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_ROOM_STATUS', tabId: activeTabId });
+    currentUserId = response.userId || null;
+    inviteLink = response.inviteLink || null;
+    videoFrameId = response.videoFrameId ?? null;
+    updateInviteQr(inviteLink);
+    updateOtherRooms(response.rooms, Boolean(response.room));
+    if (!response.room && response.pendingInvite) {
+      showPendingInvite(response.pendingInvite);
+    }
+    if (!response.room && response.removalNotice) {
+      showRemovalNotice(response.removalNotice);
+      return;
+    }
+    updateUI(response.room, response.connectionState, response.users || []);
+    updateJoinRequests(response.joinRequests || []);
+    updateInvites(response.invites || []);
+  } catch (error) {
+    console.error('Error refreshing room status:', error);
   }
 }
 
@@ -365,7 +1124,12 @@ function pollConnectionStatus() {
   async function checkStatus() {
     attempts++;
     try {
-      const response = await chrome.runtime.sendMessage({ type: 'GET_ROOM_STATUS' });
+      const response = await chrome.runtime.sendMessage({ type: 'GET_ROOM_STATUS', tabId: activeTabId });
+      
+      // The server refused the join, the password prompt takes over
+      if (!response.room) {
+        return; // Stop polling
+      }
       
       // Update users list
       if (response.users) {
@@ -373,11 +1137,17 @@ function pollConnectionStatus() {
       }
       
       if (response.connected) {
-        updateConnectionStatus(true);
-        showStatus('Connected to sync server!', 'success', 2000);
+        updateConnectionStatus(response.connectionState);
+        if (response.room.pending) {
+          // The room is in lobby mode, ROOM_STATUS_UPDATED tells us when the host answers
+          connectionStatus.textContent = 'Waiting for host approval...';
+          showStatus('Waiting for the host to let you in...', 'info');
+        } else {
+          showStatus('Connected to sync server!', 'success', 2000);
+        }
         return; // Stop polling
       } else if (attempts >= maxAttempts) {
-        updateConnectionStatus(false);
+        updateConnectionStatus(response.connectionState);
         showStatus('Connection may be slow, sync still works locally', 'info', 3000);
         return; // Stop polling
       }
@@ -398,15 +1168,48 @@ createRoomBtn.addEventListener('click', createRoom);
 joinRoomBtn.addEventListener('click', joinRoom);
 leaveRoomBtn.addEventListener('click', leaveRoom);
 syncNowBtn.addEventListener('click', syncNow);
-copyRoomIdBtn.addEventListener('click', copyRoomId);
+chooseVideoBtn.addEventListener('click', chooseVideo);
+copyRoomIdBtn.addEventListener('click', copyInviteLink);
+createInviteBtn.addEventListener('click', createInvite);
+showQrLargeBtn.addEventListener('click', showLargeQrCode);
+qrLargeView.addEventListener('click', hideLargeQrCode);
+hostOnlyToggle.addEventListener('change', toggleHostOnlyControl);
+lobbyToggle.addEventListener('change', toggleLobby);
+retryConnectionBtn.addEventListener('click', retryConnection);
+openOptionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
 
 // Handle Enter key in room ID input
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape' && document.body.classList.contains('qr-large-mode')) {
+    event.preventDefault();
+    hideLargeQrCode();
+  }
+});
+
 roomIdInput.addEventListener('keypress', (event) => {
   if (event.key === 'Enter') {
     joinRoom();
   }
 });
 
+// Handle Enter key in the room password prompt
+joinPasswordInput.addEventListener('keypress', (event) => {
+  if (event.key === 'Enter') {
+    joinRoom();
+  }
+});
+
+// The background script reports room changes while the popup is open
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type === 'REMOVED_FROM_ROOM' && message.removalNotice && message.tabId === activeTabId) {
+    showRemovalNotice(message.removalNotice);
+  } else if (message.type === 'ROOM_STATUS_UPDATED' || message.type === 'REMOVED_FROM_ROOM') {
+    refreshRoomStatus();
+  } else if (message.type === 'CONNECTION_STATE_CHANGED' && !inRoomSection.classList.contains('hidden')) {
+    refreshRoomStatus();
+  }
+});
+
 // Auto-uppercase room ID input
 roomIdInput.addEventListener('input', () => {
   roomIdInput.value = roomIdInput.value.toUpperCase();
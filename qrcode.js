@@ -0,0 +1,464 @@
+/**
+ * QR code generator for Sync Player Chrome extension.
+ * Encodes text as a byte-mode QR code (ISO/IEC 18004) at error correction level M,
+ * entirely in the browser so invite links are never sent to a QR service.
+ */
+
+// Error correction codewords per block at level M, indexed by version
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+  -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+  26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28
+];
+// Number of error correction blocks at level M, indexed by version
+const QR_ECC_BLOCKS = [
+  -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+  17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49
+];
+// Error correction level M as written into the format information
+const QR_ECC_LEVEL_BITS = 0;
+// Largest QR code version
+const QR_MAX_VERSION = 40;
+// Mode indicator for byte mode
+const QR_BYTE_MODE = 0x4;
+// Codewords that fill the unused data capacity, alternating
+const QR_PAD_CODEWORDS = [0xEC, 0x11];
+// Penalty weights used to pick the most readable mask
+const QR_PENALTY_RUN = 3;
+const QR_PENALTY_BLOCK = 3;
+const QR_PENALTY_FINDER_LIKE = 40;
+const QR_PENALTY_BALANCE = 10;
+// Whether module (x, y) is flipped by each of the eight mask patterns
+const QR_MASK_PATTERNS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Read one bit of a number
+ * @param {number} value - The number
+ * @param {number} index - The bit index, 0 being the least significant
+ * @returns {boolean} Whether the bit is set
+ */
+function getQrBit(value, index) {
+  return ((value >>> index) & 1) !== 0;
+}
+
+/**
+ * Count the modules of a version that can hold data and error correction codewords
+ * @param {number} version - The QR code version (1-40)
+ * @returns {number} The number of data modules
+ */
+function getQrRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignmentCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+/**
+ * Count the data codewords a version holds at level M
+ * @param {number} version - The QR code version (1-40)
+ * @returns {number} The number of data codewords
+ */
+function getQrDataCodewords(version) {
+  return Math.floor(getQrRawDataModules(version) / 8) -
+    QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ECC_BLOCKS[version];
+}
+
+/**
+ * Get the centers of the alignment patterns along each axis
+ * @param {number} version - The QR code version (1-40)
+ * @returns {number[]} The center coordinates, in ascending order
+ */
+function getQrAlignmentPositions(version) {
+  if (version === 1) {
+    return [];
+  }
+  const alignmentCount = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + alignmentCount * 3 + 5) / (alignmentCount * 4 - 4)) * 2;
+  const result = [6];
+  for (let position = version * 4 + 10; result.length < alignmentCount; position -= step) {
+    result.splice(1, 0, position);
+  }
+  return result;
+}
+
+/**
+ * Multiply two elements of GF(2^8) modulo the QR code polynomial
+ * @param {number} x - A byte
+ * @param {number} y - A byte
+ * @returns {number} The product
+ */
+function multiplyGf256(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Build the Reed-Solomon generator polynomial for a number of error correction codewords
+ * @param {number} degree - The number of error correction codewords
+ * @returns {number[]} The coefficients, highest power first, leading 1 omitted
+ */
+function getReedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = multiplyGf256(result[j], root);
+      if (j + 1 < degree) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = multiplyGf256(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Compute the Reed-Solomon error correction codewords for a block of data
+ * @param {number[]} data - The block's data codewords
+ * @param {number[]} divisor - The generator polynomial from getReedSolomonDivisor
+ * @returns {number[]} The error correction codewords
+ */
+function getReedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= multiplyGf256(coefficient, factor);
+    });
+  });
+  return result;
+}
+
+/**
+ * Encode bytes as the data codewords of the smallest version that fits them
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {{ version: number, codewords: number[] }} The version and its data codewords
+ */
+function encodeQrData(bytes) {
+  for (let version = 1; version <= QR_MAX_VERSION; version++) {
+    const capacityBits = getQrDataCodewords(version) * 8;
+    const countBits = version < 10 ? 8 : 16;
+    if (4 + countBits + bytes.length * 8 > capacityBits) {
+      continue;
+    }
+
+    const bits = [];
+    const appendBits = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) {
+        bits.push(getQrBit(value, i) ? 1 : 0);
+      }
+    };
+    appendBits(QR_BYTE_MODE, 4);
+    appendBits(bytes.length, countBits);
+    bytes.forEach(byte => appendBits(byte, 8));
+
+    // Terminator, then zeros up to a byte boundary
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let i = 0; codewords.length < capacityBits / 8; i++) {
+      codewords.push(QR_PAD_CODEWORDS[i % 2]);
+    }
+    return { version, codewords };
+  }
+  throw new Error('Text is too long for a QR code');
+}
+
+/**
+ * Split data codewords into blocks, add error correction and interleave them
+ * @param {number} version - The QR code version
+ * @param {number[]} data - The data codewords
+ * @returns {number[]} The codewords in the order they are placed
+ */
+function addQrErrorCorrection(version, data) {
+  const blockCount = QR_ECC_BLOCKS[version];
+  const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getQrRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = getReedSolomonDivisor(eccLength);
+
+  // Short blocks get a placeholder so every block has the same length while interleaving
+  const blocks = [];
+  let offset = 0;
+  for (let i = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const ecc = getReedSolomonRemainder(block, divisor);
+    if (i < shortBlockCount) {
+      block.push(0);
+    }
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Draw the finder, timing and alignment patterns and reserve the format and version areas
+ * @param {object} qr - The QR code being built
+ */
+function drawQrFunctionPatterns(qr) {
+  const { size, version } = qr;
+
+  for (let i = 0; i < size; i++) {
+    setQrFunctionModule(qr, 6, i, i % 2 === 0);
+    setQrFunctionModule(qr, i, 6, i % 2 === 0);
+  }
+
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([centerX, centerY]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = centerX + dx;
+        const y = centerY + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          setQrFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Alignment patterns, except where they would overlap the finders
+  const positions = getQrAlignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((centerX, i) => {
+    positions.forEach((centerY, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setQrFunctionModule(qr, centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  drawQrFormatBits(qr, 0);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      setQrFunctionModule(qr, a, b, getQrBit(bits, i));
+      setQrFunctionModule(qr, b, a, getQrBit(bits, i));
+    }
+  }
+}
+
+/**
+ * Set a module that belongs to a function pattern, data is never placed there
+ * @param {object} qr - The QR code being built
+ * @param {number} x - The column
+ * @param {number} y - The row
+ * @param {boolean} dark - Whether the module is dark
+ */
+function setQrFunctionModule(qr, x, y, dark) {
+  qr.modules[y][x] = dark;
+  qr.isFunction[y][x] = true;
+}
+
+/**
+ * Draw both copies of the format information for a mask
+ * @param {object} qr - The QR code being built
+ * @param {number} mask - The mask pattern (0-7)
+ */
+function drawQrFormatBits(qr, mask) {
+  const { size } = qr;
+  const data = (QR_ECC_LEVEL_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+
+  // Around the top left finder
+  for (let i = 0; i <= 5; i++) {
+    setQrFunctionModule(qr, 8, i, getQrBit(bits, i));
+  }
+  setQrFunctionModule(qr, 8, 7, getQrBit(bits, 6));
+  setQrFunctionModule(qr, 8, 8, getQrBit(bits, 7));
+  setQrFunctionModule(qr, 7, 8, getQrBit(bits, 8));
+  for (let i = 9; i < 15; i++) {
+    setQrFunctionModule(qr, 14 - i, 8, getQrBit(bits, i));
+  }
+
+  // Split between the other two finders, plus the module that is always dark
+  for (let i = 0; i < 8; i++) {
+    setQrFunctionModule(qr, size - 1 - i, 8, getQrBit(bits, i));
+  }
+  for (let i = 8; i < 15; i++) {
+    setQrFunctionModule(qr, 8, size - 15 + i, getQrBit(bits, i));
+  }
+  setQrFunctionModule(qr, 8, size - 8, true);
+}
+
+/**
+ * Place the codewords in the zigzag order, skipping function patterns
+ * @param {object} qr - The QR code being built
+ * @param {number[]} codewords - The interleaved codewords
+ */
+function drawQrCodewords(qr, codewords) {
+  const { size } = qr;
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    // The vertical timing pattern takes up column 6
+    if (right === 6) {
+      right = 5;
+    }
+    const upward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < size; vertical++) {
+      const y = upward ? size - 1 - vertical : vertical;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (!qr.isFunction[y][x] && bitIndex < codewords.length * 8) {
+          qr.modules[y][x] = getQrBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+          bitIndex++;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Flip the data modules selected by a mask pattern, applying it twice undoes it
+ * @param {object} qr - The QR code being built
+ * @param {number} mask - The mask pattern (0-7)
+ */
+function applyQrMask(qr, mask) {
+  const pattern = QR_MASK_PATTERNS[mask];
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (!qr.isFunction[y][x] && pattern(x, y)) {
+        qr.modules[y][x] = !qr.modules[y][x];
+      }
+    }
+  }
+}
+
+/**
+ * Score how hard a QR code is to scan, lower is better
+ * @param {object} qr - The QR code being built
+ * @returns {number} The penalty
+ */
+function getQrPenalty(qr) {
+  const { size, modules } = qr;
+  const columns = modules.map((row, x) => modules.map(column => column[x]));
+  const finderLike = [
+    [true, false, true, true, true, false, true, false, false, false, false],
+    [false, false, false, false, true, false, true, true, true, false, true]
+  ];
+  let penalty = 0;
+
+  // Runs of five or more modules of one color, and patterns that look like a finder
+  [...modules, ...columns].forEach(line => {
+    let runLength = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        runLength++;
+      } else {
+        if (runLength >= 5) {
+          penalty += QR_PENALTY_RUN + runLength - 5;
+        }
+        runLength = 1;
+      }
+    }
+    for (let i = 0; i + 11 <= size; i++) {
+      if (finderLike.some(pattern => pattern.every((dark, j) => line[i + j] === dark))) {
+        penalty += QR_PENALTY_FINDER_LIKE;
+      }
+    }
+  });
+
+  // 2x2 blocks of one color
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        penalty += QR_PENALTY_BLOCK;
+      }
+    }
+  }
+
+  // Balance of dark and light modules
+  const dark = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * QR_PENALTY_BALANCE;
+
+  return penalty;
+}
+
+/**
+ * Generate a QR code for a text, such as an invite link
+ * @param {string} text - The text to encode, as UTF-8
+ * @returns {{ size: number, modules: boolean[][] }} The modules by row, true for dark
+ * @throws {Error} If the text doesn't fit in a version 40 QR code
+ */
+function generateQrCode(text) {
+  const { version, codewords } = encodeQrData(new TextEncoder().encode(text));
+  const size = version * 4 + 17;
+  const qr = {
+    version,
+    size,
+    modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+    isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+  };
+
+  drawQrFunctionPatterns(qr);
+  drawQrCodewords(qr, addQrErrorCorrection(version, codewords));
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < QR_MASK_PATTERNS.length; mask++) {
+    applyQrMask(qr, mask);
+    drawQrFormatBits(qr, mask);
+    const penalty = getQrPenalty(qr);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyQrMask(qr, mask);
+  }
+  applyQrMask(qr, bestMask);
+  drawQrFormatBits(qr, bestMask);
+
+  return { size, modules: qr.modules };
+}
@@ -0,0 +1,28 @@
+/**
+ * Room ID rule for Sync Player Chrome extension.
+ * Shared by the background script and the popup, and kept in line with
+ * isValidRoomId in server/server.js, which has the final say.
+ */
+
+// Longest room ID the server accepts
+const ROOM_ID_MAX_LENGTH = 20;
+// Room IDs are letters and digits, upper-cased by the extension before use
+const ROOM_ID_PATTERN = new RegExp(`^[A-Z0-9]{1,${ROOM_ID_MAX_LENGTH}}$`);
+
+/**
+ * Normalize a room ID typed by the user or taken from a link
+ * @param {*} roomId - The room ID
+ * @returns {string} The trimmed, upper-cased room ID
+ */
+function normalizeRoomId(roomId) {
+  return String(roomId || '').trim().toUpperCase();
+}
+
+/**
+ * Check that a normalized room ID is one the server accepts
+ * @param {string} roomId - The room ID
+ * @returns {boolean} True if the room ID is valid
+ */
+function isValidRoomId(roomId) {
+  return ROOM_ID_PATTERN.test(roomId);
+}
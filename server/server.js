@@ -7,15 +7,100 @@
 
 const WebSocket = require('ws');
 const http = require('http');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { version: SERVER_VERSION } = require('./package.json');
 
 // Configuration
 const PORT = process.env.PORT || 8080;
+// Room roles: the host drives the room, co-hosts help control playback, viewers watch
+const ROLES = {
+  HOST: 'host',
+  COHOST: 'cohost',
+  VIEWER: 'viewer'
+};
+// Machine-readable codes for errors clients need to react to
+const ERROR_CODES = {
+  PLAYBACK_CONTROL_DENIED: 'PLAYBACK_CONTROL_DENIED',
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_FAILED: 'AUTH_FAILED',
+  JOIN_DENIED: 'JOIN_DENIED',
+  JOIN_REQUEST_TIMED_OUT: 'JOIN_REQUEST_TIMED_OUT',
+  BANNED: 'BANNED',
+  INVITE_INVALID: 'INVITE_INVALID',
+  AUTH_RATE_LIMITED: 'AUTH_RATE_LIMITED',
+  ROOM_CREATED_MEANWHILE: 'ROOM_CREATED_MEANWHILE',
+  PASSWORD_CHECK_FAILED: 'PASSWORD_CHECK_FAILED'
+};
+// Maximum age of a client-reported send time before the server's receive time is used instead
+const MAX_REPORTED_EVENT_AGE_MS = 5000;
+// Room password limits and hashing parameters
+const MAX_PASSWORD_LENGTH = 128;
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_KEY_LENGTH = 32;
+// Wrong passwords allowed from an address before it has to wait between attempts,
+// the wait doubles with each further failure up to the maximum
+const AUTH_FAILURES_BEFORE_BACKOFF = 3;
+const AUTH_BACKOFF_BASE_MS = 1000;
+const AUTH_BACKOFF_MAX_MS = 5 * 60 * 1000;
+// Password checks an address may have running at once, scrypt work happens off the event loop
+const MAX_CONCURRENT_PASSWORD_CHECKS = 2;
+// scrypt without blocking the event loop
+const scrypt = promisify(crypto.scrypt);
+// How long a knock on a lobby room waits for the host before it is dropped
+const JOIN_REQUEST_TIMEOUT_MS = Number(process.env.JOIN_REQUEST_TIMEOUT_MS) || 60000;
+// How often connections are pinged, and how long they have to answer before they are dropped
+const WS_PING_INTERVAL_MS = Number(process.env.WS_PING_INTERVAL_MS) || 30000;
+const WS_PING_TIMEOUT_MS = Number(process.env.WS_PING_TIMEOUT_MS) || 10000;
+// How long a dropped connection's slot, role and host status are held for it to resume
+const RESUME_GRACE_PERIOD_MS = Number(process.env.RESUME_GRACE_PERIOD_MS) || 30000;
+const RESUME_TOKEN_BYTES = 24;
+// Close code sent by a client that meant to go; these connections aren't held. 1001 (going away)
+// is held: browsers send it when a suspended extension service worker takes its socket down
+const CLEAN_CLOSE_CODE = 1000;
+// Reverse proxies in front of the server that append to X-Forwarded-For; 0 ignores the header,
+// which any client can set
+const TRUST_PROXY_HOPS = Math.max(0, Math.floor(Number(process.env.TRUST_PROXY_HOPS) || 0));
+// Key that signs invite tokens; without INVITE_SECRET a random key is used, invites are in memory anyway
+const INVITE_SECRET = process.env.INVITE_SECRET || crypto.randomBytes(32).toString('hex');
+// Invite lifetime and use limits
+const DEFAULT_INVITE_TTL_MS = 24 * 60 * 60 * 1000;
+const MIN_INVITE_TTL_MS = 60 * 1000;
+const MAX_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_INVITE_USES = 1000;
+const MAX_INVITE_TOKEN_LENGTH = 512;
+const INVITE_ID_BYTES = 9;
 
-// Create HTTP server for health checks
+// Landing page for invite links; the room details are in the URL fragment,
+// which only the browser (and the extension's content script) sees
+const JOIN_PAGE_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Sync Player Invite</title>
+</head>
+<body style="font-family: sans-serif; text-align: center; padding: 40px;">
+  <h1>🎬 Sync Player</h1>
+  <p>You've been invited to room <strong id="room-id">...</strong></p>
+  <p>With the Sync Player extension installed, you'll join the room and be taken to the video in a moment.
+  If nothing happens, click the Sync Player icon in your toolbar to join.</p>
+  <script>
+    const params = new URLSearchParams(location.hash.replace(/^#[^?]*\\?/, ''));
+    document.getElementById('room-id').textContent = params.get('room') || 'unknown';
+  </script>
+</body>
+</html>
+`;
+
+// Create HTTP server for health checks and the invite landing page
 const server = http.createServer((req, res) => {
   if (req.url === '/health') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ status: 'healthy', rooms: rooms.size }));
+    res.end(JSON.stringify({ status: 'healthy', version: SERVER_VERSION, rooms: rooms.size }));
+  } else if (req.url.split('?')[0] === '/join') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(JOIN_PAGE_HTML);
   } else {
     res.writeHead(200, { 'Content-Type': 'text/plain' });
     res.end('Sync Player Signaling Server');
@@ -30,14 +115,54 @@ const wss = new WebSocket.Server({ server });
 const rooms = new Map();
 
 // Store client info
-
-// Map<WebSocket, { roomId: string, userId: string, username: string, isHost: boolean }>
+// A connection can be in several rooms at once, with its own user ID and role in each
+// Map<WebSocket, { address: string, memberships: Map<roomId, { roomId: string, userId: string, username: string, role: string, joinedAt: number, resumeToken: string }> }>
 const clients = new Map();
 
 // Store room host URLs
 // Map<roomId, string>
 const roomUrls = new Map();
 
+// Store the canonical playback state of each room
+// Map<roomId, { currentTime: number, paused: boolean, playbackRate: number, updatedAt: number, updatedBy: { id: string, name: string } }>
+const roomStates = new Map();
+
+// Store room settings chosen by the host
+// Map<roomId, { hostOnlyControl: boolean }>
+const roomSettings = new Map();
+
+// Store password hashes of protected rooms (never the password itself)
+// Map<roomId, { salt: string, hash: string }>
+const roomPasswords = new Map();
+
+// Store failed password attempts by address (or connection), forgotten once the backoff has passed
+// Map<string|WebSocket, { failures: number, blockedUntil: number, checking: number, timer: Timeout|null }>
+const authAttempts = new Map();
+
+// Store users the host banned, for the life of the room
+// Map<roomId, { userIds: Set<string>, addresses: Set<string> }>
+const roomBans = new Map();
+
+// Store the host's outstanding invites; a token is only honored while its invite is here
+// Map<roomId, Map<inviteId, { inviteId: string, token: string, role: string, expiresAt: number, maxUses: number|null, uses: number, createdAt: number }>>
+const roomInvites = new Map();
+
+// Store resumable room memberships by resume token
+// While graceTimer is set the connection has dropped and its slot is held
+// Map<token, { roomId: string, ws: WebSocket, graceTimer: Timeout|null }>
+const resumeSessions = new Map();
+
+// Store when each connection was last heard from (any message or pong)
+// Map<WebSocket, number>
+const connectionLastSeen = new Map();
+
+// Timer for the connection heartbeat, running while the server listens
+let connectionHeartbeatTimer = null;
+
+// Store clients waiting in a room's lobby for the host to let them in
+// Map<requestId, { requestId: string, ws: WebSocket, roomId: string, userId: string, username: string, requestedAt: number, timer: Timeout }>
+const joinRequests = new Map();
+
 /**
  * Generate a unique client ID
  * @returns {string} A unique identifier
@@ -57,8 +182,20 @@ function sendMessage(ws, message) {
   }
 }
 
+/**
+ * Send a typed error to a WebSocket client
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} error - Human-readable error message
+ * @param {object} details - Extra fields to include in the message
+ */
+function sendError(ws, code, error, details = {}) {
+  sendMessage(ws, { type: 'ERROR', code, error, ...details });
+}
+
 /**
  * Broadcast a message to all clients in a room except the sender
+ * The room ID is added to the message, since a client may be in several rooms.
  * @param {string} roomId - The room ID
  * @param {object} message - The message to broadcast
  * @param {WebSocket} excludeClient - Optional client to exclude
@@ -67,77 +204,890 @@ function broadcastToRoom(roomId, message, excludeClient = null) {
   const roomClients = rooms.get(roomId);
   if (!roomClients) return;
 
+  const data = JSON.stringify({ ...message, roomId });
   roomClients.forEach((client) => {
     if (client !== excludeClient && client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(message));
+      client.send(data);
+    }
+  });
+}
+
+/**
+ * Get a client's membership of a room
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ * @returns {object|null} The membership (roomId, userId, username, role, joinedAt, resumeToken), or null if not a member
+ */
+function getMembership(ws, roomId) {
+  const clientInfo = clients.get(ws);
+  return (clientInfo && clientInfo.memberships.get(roomId)) || null;
+}
+
+/**
+ * Forget a closed connection once it no longer holds a place in any room
+ * @param {WebSocket} ws - The WebSocket client
+ */
+function releaseClosedConnection(ws) {
+  const clientInfo = clients.get(ws);
+  if (clientInfo && clientInfo.memberships.size === 0 && ws.readyState !== WebSocket.OPEN) {
+    clients.delete(ws);
+  }
+}
+
+/**
+ * Get the list of users in a room
+ * @param {string} roomId - The room ID
+ * @returns {Array} List of users with id, name and role
+ */
+function getRoomUsers(roomId) {
+  const roomClients = rooms.get(roomId);
+  if (!roomClients) return [];
+  
+  const users = [];
+  roomClients.forEach((client) => {
+    const membership = getMembership(client, roomId);
+    if (membership) {
+      users.push({
+        id: membership.userId || 'unknown',
+        name: membership.username || 'Anonymous',
+        role: membership.role
+      });
+    }
+  });
+  return users;
+}
+
+/**
+ * Check whether a client is the host of a room
+ * @param {object} membership - The client's membership of the room
+ * @param {string} roomId - The room ID
+ * @returns {boolean} True if the client is that room's host
+ */
+function isRoomHost(membership, roomId) {
+  return Boolean(membership && membership.roomId === roomId && membership.role === ROLES.HOST);
+}
+
+/**
+ * Check that a client is a member of the room its message names
+ * Messages relayed to a room must come from one of its members; anything
+ * else is rejected so a socket can't inject events into rooms it hasn't joined.
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID named in the message
+ * @returns {boolean} True if the client is in that room
+ */
+function requireRoomMember(ws, roomId) {
+  if (getMembership(ws, roomId)) {
+    return true;
+  }
+
+  sendError(ws, ERROR_CODES.NOT_IN_ROOM, 'You are not a member of this room.', { roomId: roomId });
+  return false;
+}
+
+/**
+ * Find a room member by user ID
+ * @param {string} roomId - The room ID
+ * @param {string} userId - The user ID to look for
+ * @returns {WebSocket|null} The member's WebSocket, or null if not in the room
+ */
+function findRoomMember(roomId, userId) {
+  const roomClients = rooms.get(roomId);
+  if (!roomClients || !userId) return null;
+
+  for (const client of roomClients) {
+    const membership = getMembership(client, roomId);
+    if (membership && membership.userId === userId) {
+      return client;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the settings of a room
+ * @param {string} roomId - The room ID
+ * @returns {object} The room settings (defaults if none were set)
+ */
+function getRoomSettings(roomId) {
+  return { hostOnlyControl: false, lobby: false, ...roomSettings.get(roomId) };
+}
+
+/**
+ * Check whether a client may play, pause, seek or change rate in a room
+ * @param {object} membership - The client's membership of the room
+ * @param {string} roomId - The room ID
+ * @returns {boolean} True if the client may control playback
+ */
+function canControlPlayback(membership, roomId) {
+  if (!getRoomSettings(roomId).hostOnlyControl) return true;
+  return Boolean(membership && (membership.role === ROLES.HOST || membership.role === ROLES.COHOST));
+}
+
+/**
+ * Reject a playback change from a client that isn't allowed to control playback
+ * The current room state is included so the client can snap back to it.
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ */
+function rejectPlaybackControl(ws, roomId) {
+  sendError(ws, ERROR_CODES.PLAYBACK_CONTROL_DENIED, 'Only the host and co-hosts can control playback in this room.', {
+    roomId: roomId,
+    roomState: getRoomState(roomId)
+  });
+}
+
+/**
+ * Handle the host changing room settings
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ * @param {object} settings - The settings to change
+ */
+function handleUpdateRoomSettings(ws, roomId, settings) {
+  if (!isRoomHost(getMembership(ws, roomId), roomId)) {
+    sendMessage(ws, { type: 'ERROR', error: 'Only the host can change room settings.' });
+    return;
+  }
+
+  const updated = getRoomSettings(roomId);
+  if (typeof settings.hostOnlyControl === 'boolean') {
+    updated.hostOnlyControl = settings.hostOnlyControl;
+  }
+  if (typeof settings.lobby === 'boolean') {
+    updated.lobby = settings.lobby;
+  }
+  roomSettings.set(roomId, updated);
+
+  broadcastToRoom(roomId, {
+    type: 'ROOM_SETTINGS_UPDATED',
+    roomId: roomId,
+    settings: updated
+  });
+  console.log(`Settings updated for room ${roomId}: hostOnlyControl=${updated.hostOnlyControl}, lobby=${updated.lobby}`);
+}
+
+/**
+ * Hash a room password with a salt
+ * @param {string} password - The room password
+ * @param {string} salt - Hex-encoded salt
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+async function hashRoomPassword(password, salt) {
+  return (await scrypt(password, salt, PASSWORD_KEY_LENGTH)).toString('hex');
+}
+
+/**
+ * Create the stored form of a room password, a salted hash
+ * @param {string} password - The room password
+ * @returns {Promise<{salt: string, hash: string}>} The entry for roomPasswords
+ */
+async function createPasswordEntry(password) {
+  const salt = crypto.randomBytes(PASSWORD_SALT_BYTES).toString('hex');
+  return { salt, hash: await hashRoomPassword(password, salt) };
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {{salt: string, hash: string}} stored - The room's password entry
+ * @param {string} password - The password supplied by the client
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyRoomPassword(stored, password) {
+  const hash = Buffer.from(await hashRoomPassword(password, stored.salt), 'hex');
+  const expected = Buffer.from(stored.hash, 'hex');
+  return crypto.timingSafeEqual(hash, expected);
+}
+
+/**
+ * Get the key failed password attempts are counted under
+ * Connections without a known address are counted on their own.
+ * @param {WebSocket} ws - The WebSocket client
+ * @returns {string|WebSocket} The client's address, or the connection itself
+ */
+function getAuthAttemptKey(ws) {
+  const clientInfo = clients.get(ws);
+  return (clientInfo && clientInfo.address) || ws;
+}
+
+/**
+ * Get how long a client has to wait before its next password attempt
+ * @param {WebSocket} ws - The WebSocket client
+ * @returns {number} Milliseconds to wait, 0 if it may try now
+ */
+function getAuthRetryDelay(ws) {
+  const attempts = authAttempts.get(getAuthAttemptKey(ws));
+  if (!attempts) return 0;
+  if (attempts.checking >= MAX_CONCURRENT_PASSWORD_CHECKS) return AUTH_BACKOFF_BASE_MS;
+  return Math.max(0, attempts.blockedUntil - Date.now());
+}
+
+/**
+ * Count a password check starting or finishing for a client
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {number} change - 1 when a check starts, -1 when it finishes
+ */
+function trackPasswordCheck(ws, change) {
+  const key = getAuthAttemptKey(ws);
+  let attempts = authAttempts.get(key);
+  if (!attempts) {
+    attempts = { failures: 0, blockedUntil: 0, checking: 0, timer: null };
+    authAttempts.set(key, attempts);
+  }
+  attempts.checking += change;
+  if (attempts.checking === 0 && attempts.failures === 0) {
+    authAttempts.delete(key);
+  }
+}
+
+/**
+ * Record a wrong password, making the client wait longer after each one past the first few
+ * @param {WebSocket} ws - The WebSocket client
+ */
+function recordAuthFailure(ws) {
+  const key = getAuthAttemptKey(ws);
+  const attempts = authAttempts.get(key) || { failures: 0, blockedUntil: 0, checking: 0, timer: null };
+  authAttempts.set(key, attempts);
+
+  attempts.failures++;
+  const excess = attempts.failures - AUTH_FAILURES_BEFORE_BACKOFF;
+  const backoff = excess <= 0 ? 0 : Math.min(AUTH_BACKOFF_BASE_MS * 2 ** (excess - 1), AUTH_BACKOFF_MAX_MS);
+  attempts.blockedUntil = Date.now() + backoff;
+
+  // The count is forgotten once the client has stayed away for the longest backoff
+  clearTimeout(attempts.timer);
+  attempts.timer = setTimeout(() => {
+    if (attempts.checking === 0) {
+      authAttempts.delete(key);
+    }
+  }, backoff + AUTH_BACKOFF_MAX_MS);
+  attempts.timer.unref();
+}
+
+/**
+ * Forget a client's wrong passwords after it got into a room with the right one
+ * @param {WebSocket} ws - The WebSocket client
+ */
+function clearAuthFailures(ws) {
+  const key = getAuthAttemptKey(ws);
+  const attempts = authAttempts.get(key);
+  if (!attempts) return;
+
+  clearTimeout(attempts.timer);
+  attempts.failures = 0;
+  attempts.blockedUntil = 0;
+  attempts.timer = null;
+  if (attempts.checking === 0) {
+    authAttempts.delete(key);
+  }
+}
+
+/**
+ * Validate a room password supplied by a client
+ * @param {*} password - The password to validate
+ * @returns {boolean} True if the password is absent or a usable string
+ */
+function isValidPassword(password) {
+  if (password === undefined || password === null || password === '') {
+    return true;
+  }
+  return typeof password === 'string' && password.length <= MAX_PASSWORD_LENGTH;
+}
+
+/**
+ * Sign an invite token payload
+ * @param {string} payload - The base64url-encoded payload
+ * @returns {string} The base64url-encoded HMAC-SHA256 signature
+ */
+function signInvitePayload(payload) {
+  return crypto.createHmac('sha256', INVITE_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Get the invites of a room that can still be used, dropping expired ones
+ * @param {string} roomId - The room ID
+ * @returns {Map<string, object>} The room's invites by invite ID
+ */
+function getRoomInvites(roomId) {
+  const invites = roomInvites.get(roomId) || new Map();
+  const now = Date.now();
+  invites.forEach((invite, inviteId) => {
+    if (invite.expiresAt <= now) {
+      invites.delete(inviteId);
+    }
+  });
+  return invites;
+}
+
+/**
+ * Describe an invite for its host
+ * @param {object} invite - The stored invite
+ * @returns {object} The invite details, including its token
+ */
+function describeInvite(invite) {
+  return {
+    inviteId: invite.inviteId,
+    token: invite.token,
+    role: invite.role,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    uses: invite.uses,
+    createdAt: invite.createdAt
+  };
+}
+
+/**
+ * Check an invite token for a room
+ * @param {string} roomId - The room ID
+ * @param {*} token - The token supplied by the client
+ * @returns {{ invite: object }|{ error: string }} The invite it grants, or why it's refused
+ */
+function verifyInviteToken(roomId, token) {
+  if (typeof token !== 'string' || token.length > MAX_INVITE_TOKEN_LENGTH) {
+    return { error: 'This invite link is not valid.' };
+  }
+
+  const [payload, signature] = token.split('.');
+  const expected = Buffer.from(signInvitePayload(payload || ''));
+  const actual = Buffer.from(signature || '');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { error: 'This invite link is not valid.' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    return { error: 'This invite link is not valid.' };
+  }
+  if (claims.roomId !== roomId) {
+    return { error: 'This invite is for another room.' };
+  }
+  if (claims.expiresAt <= Date.now()) {
+    return { error: 'This invite has expired.' };
+  }
+
+  const invite = getRoomInvites(roomId).get(claims.inviteId);
+  if (!invite) {
+    return { error: 'This invite has been revoked.' };
+  }
+  if (invite.maxUses !== null && invite.uses >= invite.maxUses) {
+    return { error: 'This invite has already been used up.' };
+  }
+  return { invite };
+}
+
+/**
+ * Handle the host creating an invite to the room
+ * The token is signed so it can't be forged or altered, and only works while
+ * the invite hasn't expired, been used up or been revoked.
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ * @param {object} options - expiresInMs, maxUses and role (viewer or co-host), all optional
+ */
+function handleCreateInvite(ws, roomId, options) {
+  if (!isRoomHost(getMembership(ws, roomId), roomId)) {
+    sendMessage(ws, { type: 'ERROR', error: 'Only the host can create invites.' });
+    return;
+  }
+
+  const expiresInMs = options.expiresInMs === undefined ? DEFAULT_INVITE_TTL_MS : options.expiresInMs;
+  if (!isFiniteNumber(expiresInMs) || expiresInMs < MIN_INVITE_TTL_MS || expiresInMs > MAX_INVITE_TTL_MS) {
+    sendMessage(ws, { type: 'ERROR', error: `Invite expiry must be between ${MIN_INVITE_TTL_MS} and ${MAX_INVITE_TTL_MS} ms.` });
+    return;
+  }
+  const maxUses = options.maxUses === undefined ? null : options.maxUses;
+  if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES)) {
+    sendMessage(ws, { type: 'ERROR', error: `Invite max uses must be between 1 and ${MAX_INVITE_USES}.` });
+    return;
+  }
+  const role = options.role === undefined ? ROLES.VIEWER : options.role;
+  if (role !== ROLES.VIEWER && role !== ROLES.COHOST) {
+    sendMessage(ws, { type: 'ERROR', error: 'Invite role must be viewer or cohost.' });
+    return;
+  }
+
+  const now = Date.now();
+  const inviteId = crypto.randomBytes(INVITE_ID_BYTES).toString('base64url');
+  const expiresAt = now + expiresInMs;
+  const payload = Buffer.from(JSON.stringify({ roomId, inviteId, role, expiresAt })).toString('base64url');
+  const invite = {
+    inviteId,
+    token: `${payload}.${signInvitePayload(payload)}`,
+    role,
+    expiresAt,
+    maxUses,
+    uses: 0,
+    createdAt: now
+  };
+
+  if (!roomInvites.has(roomId)) {
+    roomInvites.set(roomId, new Map());
+  }
+  roomInvites.get(roomId).set(inviteId, invite);
+
+  sendMessage(ws, { type: 'INVITE_CREATED', roomId: roomId, invite: describeInvite(invite) });
+  console.log(`Invite ${inviteId} created for room ${roomId} (${role}, ${maxUses === null ? 'unlimited' : maxUses} uses).`);
+}
+
+/**
+ * Handle the host asking for the room's outstanding invites
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ */
+function handleListInvites(ws, roomId) {
+  if (!isRoomHost(getMembership(ws, roomId), roomId)) {
+    sendMessage(ws, { type: 'ERROR', error: 'Only the host can list invites.' });
+    return;
+  }
+
+  const invites = Array.from(getRoomInvites(roomId).values(), describeInvite);
+  sendMessage(ws, { type: 'INVITES_LIST', roomId: roomId, invites: invites });
+}
+
+/**
+ * Handle the host revoking an invite, its token stops working right away
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ * @param {string} inviteId - The invite to revoke
+ */
+function handleRevokeInvite(ws, roomId, inviteId) {
+  if (!isRoomHost(getMembership(ws, roomId), roomId)) {
+    sendMessage(ws, { type: 'ERROR', error: 'Only the host can revoke invites.' });
+    return;
+  }
+
+  if (!getRoomInvites(roomId).delete(inviteId)) {
+    sendMessage(ws, { type: 'ERROR', error: 'Invite not found.' });
+    return;
+  }
+
+  sendMessage(ws, { type: 'INVITE_REVOKED', roomId: roomId, inviteId: inviteId });
+  console.log(`Invite ${inviteId} for room ${roomId} revoked.`);
+}
+
+/**
+ * Find the host of a room
+ * @param {string} roomId - The room ID
+ * @returns {WebSocket|null} The host's WebSocket, or null if the room has none
+ */
+function findRoomHost(roomId) {
+  const roomClients = rooms.get(roomId);
+  if (!roomClients) return null;
+
+  for (const client of roomClients) {
+    if (isRoomHost(getMembership(client, roomId), roomId)) {
+      return client;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tell the host of a room about a pending join request
+ * @param {WebSocket} host - The host's WebSocket
+ * @param {object} request - The join request
+ */
+function sendJoinRequest(host, request) {
+  sendMessage(host, {
+    type: 'JOIN_REQUEST',
+    roomId: request.roomId,
+    requestId: request.requestId,
+    userId: request.userId,
+    username: request.username,
+    requestedAt: request.requestedAt
+  });
+}
+
+/**
+ * Forward all pending join requests of a room to its (new) host
+ * @param {string} roomId - The room ID
+ */
+function forwardJoinRequests(roomId) {
+  const host = findRoomHost(roomId);
+  if (!host) return;
+
+  joinRequests.forEach((request) => {
+    if (request.roomId === roomId) {
+      sendJoinRequest(host, request);
+    }
+  });
+}
+
+/**
+ * Find a client's pending request to join a room
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ * @returns {object|null} The join request
+ */
+function findJoinRequest(ws, roomId) {
+  for (const request of joinRequests.values()) {
+    if (request.ws === ws && request.roomId === roomId) {
+      return request;
+    }
+  }
+  return null;
+}
+
+/**
+ * Put a client in a lobby room's waiting list and ask the host to let them in
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ * @param {string} userId - The user's ID
+ * @param {string} username - The user's display name
+ */
+function queueJoinRequest(ws, roomId, userId, username) {
+  const request = {
+    requestId: generateClientId(),
+    ws,
+    roomId,
+    userId: userId || generateClientId(),
+    username: username || 'Anonymous',
+    requestedAt: Date.now(),
+    timer: null
+  };
+
+  request.timer = setTimeout(() => {
+    cancelJoinRequest(ws, roomId);
+    sendError(ws, ERROR_CODES.JOIN_REQUEST_TIMED_OUT, 'The host did not respond to your request to join.', { roomId: roomId });
+    console.log(`Join request from ${request.username} for room ${roomId} timed out.`);
+  }, JOIN_REQUEST_TIMEOUT_MS);
+  joinRequests.set(request.requestId, request);
+
+  sendMessage(ws, { type: 'JOIN_PENDING', roomId: roomId });
+
+  const host = findRoomHost(roomId);
+  if (host) {
+    sendJoinRequest(host, request);
+  }
+  console.log(`Client ${request.username} (${request.userId}) is waiting to join room ${roomId}.`);
+}
+
+/**
+ * Withdraw a client's pending request to join a room, if any
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ * @returns {object|null} The withdrawn request
+ */
+function cancelJoinRequest(ws, roomId) {
+  const request = findJoinRequest(ws, roomId);
+  if (!request) return null;
+
+  clearTimeout(request.timer);
+  joinRequests.delete(request.requestId);
+
+  const host = findRoomHost(request.roomId);
+  if (host) {
+    sendMessage(host, {
+      type: 'JOIN_REQUEST_CANCELLED',
+      roomId: request.roomId,
+      requestId: request.requestId
+    });
+  }
+  return request;
+}
+
+/**
+ * Turn away everyone waiting to join a room that no longer exists
+ * @param {string} roomId - The room ID
+ */
+function rejectJoinRequests(roomId) {
+  joinRequests.forEach((request, requestId) => {
+    if (request.roomId === roomId) {
+      clearTimeout(request.timer);
+      joinRequests.delete(requestId);
+      sendError(request.ws, ERROR_CODES.JOIN_DENIED, 'The room was closed.', { roomId: roomId });
     }
   });
 }
 
-/**
- * Get the list of users in a room
- * @param {string} roomId - The room ID
- * @returns {Array} List of users with id and name
- */
-function getRoomUsers(roomId) {
-  const roomClients = rooms.get(roomId);
-  if (!roomClients) return [];
-  
-  const users = [];
-  roomClients.forEach((client) => {
-    const clientInfo = clients.get(client);
-    if (clientInfo) {
-      users.push({
-        id: clientInfo.userId || 'unknown',
-        name: clientInfo.username || 'Anonymous'
-      });
+/**
+ * Handle the host approving or denying a pending join request
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ * @param {string} requestId - The join request ID
+ * @param {boolean} approved - Whether to let the client in
+ */
+function handleRespondJoinRequest(ws, roomId, requestId, approved) {
+  if (!isRoomHost(getMembership(ws, roomId), roomId)) {
+    sendMessage(ws, { type: 'ERROR', error: 'Only the host can answer join requests.' });
+    return;
+  }
+
+  const pending = joinRequests.get(requestId);
+  if (!pending || pending.roomId !== roomId) {
+    sendMessage(ws, { type: 'ERROR', error: 'Join request not found.' });
+    return;
+  }
+
+  const requester = pending.ws;
+  const request = cancelJoinRequest(requester, roomId);
+  if (approved) {
+    console.log(`Host approved ${request.username} joining room ${roomId}.`);
+    addClientToRoom(requester, roomId, request.userId, request.username);
+  } else {
+    console.log(`Host denied ${request.username} joining room ${roomId}.`);
+    sendError(requester, ERROR_CODES.JOIN_DENIED, 'The host declined your request to join.', { roomId: roomId });
+  }
+}
+
+/**
+ * Start a resumable session for a room member
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ * @returns {string} The resume token
+ */
+function createResumeSession(ws, roomId) {
+  const token = crypto.randomBytes(RESUME_TOKEN_BYTES).toString('hex');
+  resumeSessions.set(token, { roomId, ws, graceTimer: null });
+  return token;
+}
+
+/**
+ * End a resumable session, e.g. because the member left for good
+ * @param {string} token - The resume token
+ */
+function endResumeSession(token) {
+  const session = resumeSessions.get(token);
+  if (!session) return;
+
+  clearTimeout(session.graceTimer);
+  resumeSessions.delete(token);
+}
+
+/**
+ * Hold a dropped member's slot for the grace period instead of removing them
+ * @param {WebSocket} ws - The WebSocket client that dropped
+ * @param {object} membership - The client's membership of the room
+ * @returns {boolean} True if the slot is being held
+ */
+function holdResumeSession(ws, membership) {
+  const session = resumeSessions.get(membership.resumeToken);
+  if (!session || session.ws !== ws) return false;
+
+  // 'error' and 'close' may both report the same drop
+  if (!session.graceTimer) {
+    session.graceTimer = setTimeout(() => {
+      resumeSessions.delete(membership.resumeToken);
+      console.log(`Client ${membership.username} did not resume room ${membership.roomId} within ${RESUME_GRACE_PERIOD_MS}ms.`);
+      handleLeaveRoom(ws, membership.roomId, false);
+      releaseClosedConnection(ws);
+    }, RESUME_GRACE_PERIOD_MS);
+    session.graceTimer.unref();
+    console.log(`Holding ${membership.username}'s place in room ${membership.roomId} for ${RESUME_GRACE_PERIOD_MS}ms.`);
+  }
+  return true;
+}
+
+/**
+ * Move a member's slot from their old connection to a new one
+ * The member keeps their user ID, role and join time, and the rest of the
+ * room sees a USERS_UPDATE instead of PEER_LEFT/PEER_JOINED.
+ * @param {WebSocket} ws - The new WebSocket client
+ * @param {string} roomId - The room ID the client asked to join
+ * @param {string} token - The resume token presented by the client
+ * @returns {boolean} True if the session was resumed
+ */
+function resumeSession(ws, roomId, token) {
+  const session = resumeSessions.get(token);
+  if (!session || session.roomId !== roomId || !rooms.has(roomId)) return false;
+
+  const oldWs = session.ws;
+  const membership = getMembership(oldWs, roomId);
+  const clientInfo = clients.get(ws);
+  if (!membership || !clientInfo) return false;
+
+  // A different membership of the same room on the new connection gives way
+  if (oldWs !== ws && getMembership(ws, roomId)) {
+    handleLeaveRoom(ws, roomId, false);
+  }
+
+  clearTimeout(session.graceTimer);
+  session.graceTimer = null;
+  session.ws = ws;
+
+  // Swap the connections; the old one no longer belongs to the room
+  const roomClients = rooms.get(roomId);
+  roomClients.delete(oldWs);
+  clients.get(oldWs).memberships.delete(roomId);
+  clientInfo.memberships.set(roomId, membership);
+  releaseClosedConnection(oldWs);
+  if (oldWs !== ws && oldWs.readyState === WebSocket.OPEN) {
+    // The client reconnected before the server noticed the old connection was gone;
+    // its other rooms are held for resuming like after any drop
+    oldWs.terminate();
+  }
+
+  addClientToRoom(ws, roomId, membership.userId, membership.username);
+  if (membership.role === ROLES.HOST) {
+    forwardJoinRequests(roomId);
+  }
+  return true;
+}
+
+/**
+ * Handle a client joining a room
+ * The first member of a new room may set its password; everyone joining
+ * a protected room afterwards must supply it. Joining a lobby room waits
+ * for the host's approval. A valid invite token stands in for both and
+ * grants the invite's role. Rooms the client is already in are kept.
+ * Passwords are hashed off the event loop, then the join starts over with the
+ * result so everything else is checked against the room as it is by then.
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID to join
+ * @param {string} userId - The user's ID
+ * @param {string} username - The user's display name
+ * @param {string} password - Optional room password
+ * @param {string} resumeToken - Token from an earlier ROOM_JOINED, to resume that membership
+ * @param {string} inviteToken - Optional token from an invite link
+ * @param {{salt: string, hash: string}} [checkedPassword] - The room's own password entry, once an
+ *   earlier pass found the password matches it
+ * @param {{salt: string, hash: string}} [newPasswordEntry] - Entry hashed by an earlier pass for
+ *   creating the room with the password
+ */
+function handleJoinRoom(ws, roomId, userId, username, password, resumeToken, inviteToken, checkedPassword = null, newPasswordEntry = null) {
+  // A new join replaces any request for this room still waiting in its lobby
+  cancelJoinRequest(ws, roomId);
+
+  // A valid resume token skips the checks, the member was already let in
+  if (resumeToken && resumeSession(ws, roomId, resumeToken)) {
+    return;
+  }
+
+  // Check if client is already in this room (rejoining)
+  const clientInfo = clients.get(ws);
+  const isRejoining = Boolean(getMembership(ws, roomId));
+  const isNewRoom = !rooms.has(roomId);
+
+  // Another client created the room while the password was hashed, the creator doesn't join it instead
+  if (newPasswordEntry && !isNewRoom) {
+    console.log(`Join rejected for room ${roomId}: ${ERROR_CODES.ROOM_CREATED_MEANWHILE}`);
+    sendError(ws, ERROR_CODES.ROOM_CREATED_MEANWHILE, 'Someone else created this room at the same time.', { roomId: roomId });
+    return;
+  }
+
+  if (!isRejoining && isBanned(roomId, userId, clientInfo && clientInfo.address)) {
+    console.log(`Join rejected for room ${roomId}: ${ERROR_CODES.BANNED}`);
+    sendError(ws, ERROR_CODES.BANNED, 'You have been banned from this room.', { roomId: roomId });
+    return;
+  }
+
+  // An invite that doesn't check out is reported, unless a password was supplied to fall back on
+  let invite = null;
+  if (!isRejoining && inviteToken) {
+    const result = verifyInviteToken(roomId, inviteToken);
+    if (result.invite) {
+      invite = result.invite;
+    } else if (!password) {
+      console.log(`Join rejected for room ${roomId}: ${ERROR_CODES.INVITE_INVALID}`);
+      sendError(ws, ERROR_CODES.INVITE_INVALID, result.error, { roomId: roomId });
+      return;
+    }
+  }
+
+  // Members already in the room and invited users don't need the password
+  const storedPassword = roomPasswords.get(roomId);
+  if (!isRejoining && !invite && storedPassword && storedPassword !== checkedPassword) {
+    if (!password) {
+      console.log(`Join rejected for room ${roomId}: ${ERROR_CODES.AUTH_REQUIRED}`);
+      sendError(ws, ERROR_CODES.AUTH_REQUIRED, 'This room is password protected.', { roomId: roomId });
+      return;
+    }
+
+    const retryAfterMs = getAuthRetryDelay(ws);
+    if (retryAfterMs > 0) {
+      console.log(`Join rejected for room ${roomId}: ${ERROR_CODES.AUTH_RATE_LIMITED}`);
+      sendError(ws, ERROR_CODES.AUTH_RATE_LIMITED, 'Too many wrong passwords, wait a moment and try again.', { roomId: roomId, retryAfterMs });
+      return;
+    }
+
+    trackPasswordCheck(ws, 1);
+    verifyRoomPassword(storedPassword, password).then((matches) => {
+      if (!clients.has(ws) || ws.readyState !== WebSocket.OPEN) return;
+
+      if (!matches) {
+        recordAuthFailure(ws);
+        console.log(`Join rejected for room ${roomId}: ${ERROR_CODES.AUTH_FAILED}`);
+        sendError(ws, ERROR_CODES.AUTH_FAILED, 'Incorrect room password.', { roomId: roomId });
+        return;
+      }
+      clearAuthFailures(ws);
+      handleJoinRoom(ws, roomId, userId, username, password, null, inviteToken, storedPassword);
+    }).catch((error) => {
+      console.error(`Error checking the password of room ${roomId}:`, error);
+      sendError(ws, ERROR_CODES.PASSWORD_CHECK_FAILED, 'The room password could not be checked, try again.', { roomId: roomId });
+    }).finally(() => trackPasswordCheck(ws, -1));
+    return;
+  }
+
+  // The creator's password is hashed before the room exists, so it is never open without it
+  if (isNewRoom && password && !newPasswordEntry) {
+    createPasswordEntry(password).then((entry) => {
+      if (!clients.has(ws) || ws.readyState !== WebSocket.OPEN) return;
+      handleJoinRoom(ws, roomId, userId, username, password, null, inviteToken, null, entry);
+    }).catch((error) => {
+      console.error(`Error hashing the password of room ${roomId}:`, error);
+      sendError(ws, ERROR_CODES.PASSWORD_CHECK_FAILED, 'The room password could not be set, try again.', { roomId: roomId });
+    });
+    return;
+  }
+
+  if (!isRejoining && !invite && !isNewRoom && getRoomSettings(roomId).lobby) {
+    queueJoinRequest(ws, roomId, userId, username);
+    return;
+  }
+
+  if (invite) {
+    invite.uses++;
+    console.log(`Invite ${invite.inviteId} used to join room ${roomId} (${invite.uses} of ${invite.maxUses === null ? 'unlimited' : invite.maxUses}).`);
+  }
+
+  if (isNewRoom) {
+    rooms.set(roomId, new Set());
+    if (newPasswordEntry) {
+      roomPasswords.set(roomId, newPasswordEntry);
     }
-  });
-  return users;
+  }
+
+  addClientToRoom(ws, roomId, userId, username, invite ? invite.role : ROLES.VIEWER);
 }
 
 /**
- * Handle a client joining a room
+ * Add a client to a room and tell everyone about it
  * @param {WebSocket} ws - The WebSocket client
- * @param {string} roomId - The room ID to join
+ * @param {string} roomId - The room ID
  * @param {string} userId - The user's ID
  * @param {string} username - The user's display name
+ * @param {string} joinRole - Role for a new member if the room already has a host
  */
-function handleJoinRoom(ws, roomId, userId, username) {
-  // Check if client is already in this room (rejoining)
+function addClientToRoom(ws, roomId, userId, username, joinRole = ROLES.VIEWER) {
   const clientInfo = clients.get(ws);
-  const isRejoining = clientInfo && clientInfo.roomId === roomId;
-  
-  // Leave any existing room first, but only if it's a different room
-  if (clientInfo && clientInfo.roomId && clientInfo.roomId !== roomId) {
-    handleLeaveRoom(ws, clientInfo.roomId, false);
-  }
+  const membership = getMembership(ws, roomId);
+  const isRejoining = Boolean(membership);
+  const roomClients = rooms.get(roomId);
+  if (!roomClients || !clientInfo) return;
 
-  // Determine if this client is the host
-  // If rejoining, preserve existing host status
-  // Otherwise, client is host if the room doesn't exist yet
-  let isHost;
-  if (isRejoining && clientInfo) {
-    isHost = clientInfo.isHost;
+  // Determine the client's role
+  // If rejoining, preserve the existing role
+  // Otherwise, client is host if the room is still empty, else a viewer (or the invite's role)
+  let role;
+  if (isRejoining) {
+    role = membership.role;
   } else {
-    isHost = !rooms.has(roomId);
-  }
-
-  // Create room if it doesn't exist
-  if (!rooms.has(roomId)) {
-    rooms.set(roomId, new Set());
+    role = roomClients.size > 0 ? joinRole : ROLES.HOST;
   }
+  const isHost = role === ROLES.HOST;
 
   // Add client to room (Set.add is idempotent, won't duplicate)
-  const roomClients = rooms.get(roomId);
   roomClients.add(ws);
 
-  // Update client info with user details, preserving userId if rejoining
-  clients.set(ws, { 
-    roomId, 
-    userId: (isRejoining && clientInfo && clientInfo.userId) ? clientInfo.userId : (userId || generateClientId()),
+  // Update the membership with user details, preserving userId, join time and resume token if rejoining
+  const resumeToken = (isRejoining && membership.resumeToken) || createResumeSession(ws, roomId);
+  clientInfo.memberships.set(roomId, {
+    roomId,
+    userId: (isRejoining && membership.userId) ? membership.userId : (userId || generateClientId()),
     username: username || 'Anonymous',
-    isHost
+    role,
+    joinedAt: (isRejoining && membership.joinedAt) ? membership.joinedAt : Date.now(),
+    resumeToken
   });
 
   // Get the updated users list
@@ -146,13 +1096,18 @@ function handleJoinRoom(ws, roomId, userId, username) {
   // Get the host URL if available
   const hostUrl = roomUrls.get(roomId);
 
-  // Notify the client they joined, including host URL if available
+  // Notify the client they joined, including host URL and playback state if available
   sendMessage(ws, {
     type: 'ROOM_JOINED',
     roomId: roomId,
     peerCount: roomClients.size,
     isHost: isHost,
+    role: role,
     hostUrl: hostUrl || null,
+    roomState: getRoomState(roomId),
+    settings: getRoomSettings(roomId),
+    passwordProtected: roomPasswords.has(roomId),
+    resumeToken: resumeToken,
     users: users
   });
 
@@ -163,30 +1118,245 @@ function handleJoinRoom(ws, roomId, userId, username) {
       peerCount: roomClients.size,
       users: users
     }, ws);
-    console.log(`Client ${username || 'Anonymous'} (${userId}) joined room ${roomId}. Room now has ${roomClients.size} clients. isHost: ${isHost}`);
+    console.log(`Client ${username || 'Anonymous'} (${userId}) joined room ${roomId}. Room now has ${roomClients.size} clients. Role: ${role}`);
   } else {
     // For rejoining, just update users list without broadcasting join event
     broadcastToRoom(roomId, {
       type: 'USERS_UPDATE',
       users: users
     });
-    console.log(`Client ${username || 'Anonymous'} (${userId}) rejoined room ${roomId}. Room has ${roomClients.size} clients. isHost: ${isHost}`);
+    console.log(`Client ${username || 'Anonymous'} (${userId}) rejoined room ${roomId}. Room has ${roomClients.size} clients. Role: ${role}`);
+  }
+}
+
+/**
+ * Pick the client that takes over as host
+ * @param {string} roomId - The room ID
+ * @param {Set<WebSocket>} roomClients - The remaining clients in the room
+ * @param {string} successorId - Optional user ID picked by the departing host
+ * @returns {WebSocket|null} The successor, or null if the room is empty
+ */
+function selectSuccessor(roomId, roomClients, successorId) {
+  let successor = null;
+  let successorIsCohost = false;
+  let earliestJoin = Infinity;
+
+  for (const client of roomClients) {
+    const membership = getMembership(client, roomId);
+    if (!membership) continue;
+
+    // The departing host's pick wins if they are still in the room
+    if (successorId && membership.userId === successorId) {
+      return client;
+    }
+    // Otherwise the longest-connected co-host takes over, or else the longest-connected member
+    const isCohost = membership.role === ROLES.COHOST;
+    if ((isCohost && !successorIsCohost) ||
+        (isCohost === successorIsCohost && membership.joinedAt < earliestJoin)) {
+      earliestJoin = membership.joinedAt;
+      successorIsCohost = isCohost;
+      successor = client;
+    }
+  }
+
+  return successor;
+}
+
+/**
+ * Promote a new host after the current host left the room
+ * @param {string} roomId - The room ID
+ * @param {string} successorId - Optional user ID picked by the departing host
+ */
+function promoteSuccessor(roomId, successorId) {
+  const roomClients = rooms.get(roomId);
+  if (!roomClients) return;
+
+  const successor = selectSuccessor(roomId, roomClients, successorId);
+  if (!successor) return;
+
+  const successorInfo = getMembership(successor, roomId);
+  successorInfo.role = ROLES.HOST;
+
+  broadcastToRoom(roomId, {
+    type: 'HOST_CHANGED',
+    hostId: successorInfo.userId,
+    hostName: successorInfo.username,
+    users: getRoomUsers(roomId)
+  });
+  console.log(`Client ${successorInfo.username} (${successorInfo.userId}) is now host of room ${roomId}.`);
+
+  forwardJoinRequests(roomId);
+}
+
+/**
+ * Handle the host handing host status to another member
+ * The previous host stays on as a co-host.
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ * @param {string} targetUserId - The user ID of the new host
+ */
+function handleTransferHost(ws, roomId, targetUserId) {
+  const membership = getMembership(ws, roomId);
+  if (!isRoomHost(membership, roomId)) {
+    sendMessage(ws, { type: 'ERROR', error: 'Only the host can transfer host status.' });
+    return;
+  }
+
+  const target = findRoomMember(roomId, targetUserId);
+  if (!target || target === ws) {
+    sendMessage(ws, { type: 'ERROR', error: 'User is not in this room.' });
+    return;
+  }
+
+  const targetInfo = getMembership(target, roomId);
+  membership.role = ROLES.COHOST;
+  targetInfo.role = ROLES.HOST;
+
+  broadcastToRoom(roomId, {
+    type: 'HOST_CHANGED',
+    hostId: targetInfo.userId,
+    hostName: targetInfo.username,
+    users: getRoomUsers(roomId)
+  });
+  console.log(`Host of room ${roomId} transferred from ${membership.username} to ${targetInfo.username}.`);
+
+  forwardJoinRequests(roomId);
+}
+
+/**
+ * Get the remote address of a connection
+ * Behind reverse proxies (Render, Railway, Fly.io...) the socket address is the
+ * nearest proxy's. Each trusted proxy appends the address it saw to X-Forwarded-For,
+ * so the client's is TRUST_PROXY_HOPS entries from the end; anything before it
+ * came from the client and is ignored.
+ * @param {http.IncomingMessage} req - The WebSocket upgrade request
+ * @returns {string|null} The client's address
+ */
+function getRemoteAddress(req) {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  if (TRUST_PROXY_HOPS > 0 && typeof forwardedFor === 'string') {
+    const entries = forwardedFor.split(',').map(entry => entry.trim()).filter(Boolean);
+    if (entries.length > 0) {
+      return entries[Math.max(0, entries.length - TRUST_PROXY_HOPS)];
+    }
+  }
+  return req.socket.remoteAddress || null;
+}
+
+/**
+ * Check whether a user or address is banned from a room
+ * @param {string} roomId - The room ID
+ * @param {string} userId - The user's ID
+ * @param {string} address - The user's remote address
+ * @returns {boolean} True if banned
+ */
+function isBanned(roomId, userId, address) {
+  const bans = roomBans.get(roomId);
+  if (!bans) return false;
+  return Boolean((userId && bans.userIds.has(userId)) || (address && bans.addresses.has(address)));
+}
+
+/**
+ * Handle the host removing a member from the room, optionally banning them
+ * A ban lasts until the room is deleted.
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ * @param {string} targetUserId - The user ID to remove
+ * @param {boolean} ban - Whether to keep them from rejoining
+ * @param {boolean} banAddress - Whether the ban also covers their remote address
+ */
+function handleKickUser(ws, roomId, targetUserId, ban, banAddress) {
+  if (!isRoomHost(getMembership(ws, roomId), roomId)) {
+    sendMessage(ws, { type: 'ERROR', error: 'Only the host can remove users.' });
+    return;
+  }
+
+  const target = findRoomMember(roomId, targetUserId);
+  if (!target || target === ws) {
+    sendMessage(ws, { type: 'ERROR', error: 'User is not in this room.' });
+    return;
+  }
+
+  const targetInfo = getMembership(target, roomId);
+  const targetAddress = clients.get(target).address;
+  if (ban) {
+    if (!roomBans.has(roomId)) {
+      roomBans.set(roomId, { userIds: new Set(), addresses: new Set() });
+    }
+    const bans = roomBans.get(roomId);
+    bans.userIds.add(targetInfo.userId);
+    if (banAddress && targetAddress) {
+      bans.addresses.add(targetAddress);
+    }
+  }
+
+  sendMessage(target, {
+    type: 'KICKED',
+    roomId: roomId,
+    banned: Boolean(ban)
+  });
+  console.log(`Client ${targetInfo.username} was ${ban ? 'banned' : 'kicked'} from room ${roomId}.`);
+  handleLeaveRoom(target, roomId, false);
+}
+
+/**
+ * Handle the host promoting a member to co-host or demoting them to viewer
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ * @param {string} targetUserId - The user ID whose role changes
+ * @param {string} role - The new role (co-host or viewer)
+ */
+function handleSetRole(ws, roomId, targetUserId, role) {
+  if (!isRoomHost(getMembership(ws, roomId), roomId)) {
+    sendMessage(ws, { type: 'ERROR', error: 'Only the host can change roles.' });
+    return;
+  }
+
+  // Host status moves only through TRANSFER_HOST
+  if (role !== ROLES.COHOST && role !== ROLES.VIEWER) {
+    sendMessage(ws, { type: 'ERROR', error: 'Role must be cohost or viewer.' });
+    return;
+  }
+
+  const target = findRoomMember(roomId, targetUserId);
+  if (!target || target === ws) {
+    sendMessage(ws, { type: 'ERROR', error: 'User is not in this room.' });
+    return;
   }
+
+  const targetInfo = getMembership(target, roomId);
+  targetInfo.role = role;
+
+  broadcastToRoom(roomId, {
+    type: 'ROLE_CHANGED',
+    userId: targetInfo.userId,
+    role: role,
+    users: getRoomUsers(roomId)
+  });
+  console.log(`Client ${targetInfo.username} is now ${role} in room ${roomId}.`);
 }
 
 /**
  * Handle a client leaving a room
+ * If the host leaves, a successor is promoted so the room keeps a host.
  * @param {WebSocket} ws - The WebSocket client
  * @param {string} roomId - The room ID to leave
  * @param {boolean} notifyClient - Whether to notify the leaving client
+ * @param {string} successorId - Optional user ID the departing host hands over to
  */
-function handleLeaveRoom(ws, roomId, notifyClient = true) {
+function handleLeaveRoom(ws, roomId, notifyClient = true, successorId = null) {
   const roomClients = rooms.get(roomId);
   if (!roomClients) return;
 
   // Get username for logging before removing
-  const clientInfo = clients.get(ws);
-  const username = clientInfo ? clientInfo.username : 'Unknown';
+  const membership = getMembership(ws, roomId);
+  const username = membership ? membership.username : 'Unknown';
+  const wasHost = isRoomHost(membership, roomId);
+
+  // Leaving for good, the membership can't be resumed
+  if (membership && membership.resumeToken) {
+    endResumeSession(membership.resumeToken);
+  }
 
   // Remove client from room
   roomClients.delete(ws);
@@ -195,6 +1365,12 @@ function handleLeaveRoom(ws, roomId, notifyClient = true) {
   if (roomClients.size === 0) {
     rooms.delete(roomId);
     roomUrls.delete(roomId);
+    roomStates.delete(roomId);
+    roomSettings.delete(roomId);
+    roomPasswords.delete(roomId);
+    roomBans.delete(roomId);
+    roomInvites.delete(roomId);
+    rejectJoinRequests(roomId);
     console.log(`Room ${roomId} deleted (empty).`);
   } else {
     // Get the updated users list
@@ -206,12 +1382,15 @@ function handleLeaveRoom(ws, roomId, notifyClient = true) {
       peerCount: roomClients.size,
       users: users
     });
+
+    if (wasHost) {
+      promoteSuccessor(roomId, successorId);
+    }
   }
 
-  // Clear client's room association but keep userId and username
-  if (clientInfo) {
-    clientInfo.roomId = null;
-    clientInfo.isHost = false;
+  // Forget the membership, the connection stays in its other rooms
+  if (membership) {
+    clients.get(ws).memberships.delete(roomId);
   }
 
   if (notifyClient) {
@@ -224,16 +1403,139 @@ function handleLeaveRoom(ws, roomId, notifyClient = true) {
   console.log(`Client ${username} left room ${roomId}. Room now has ${roomClients ? roomClients.size : 0} clients.`);
 }
 
+/**
+ * Check that a value is a finite number
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is a finite number
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Get the playback position of a stored room state at a given time
+ * @param {object} state - The stored room state
+ * @param {number} now - The time to project to (ms since epoch)
+ * @returns {number} The projected playback position in seconds
+ */
+function projectRoomPosition(state, now) {
+  if (state.paused) {
+    return state.currentTime;
+  }
+  const elapsed = Math.max(0, now - state.updatedAt) / 1000;
+  return state.currentTime + elapsed * state.playbackRate;
+}
+
+/**
+ * Get the current playback state of a room
+ * The position is projected to the current server time, and serverTime is set
+ * to that time so clients can compensate for delivery latency.
+ * @param {string} roomId - The room ID
+ * @returns {object|null} The room state, or null if nothing has been played yet
+ */
+function getRoomState(roomId) {
+  const state = roomStates.get(roomId);
+  if (!state) return null;
+
+  const now = Date.now();
+  return {
+    currentTime: projectRoomPosition(state, now),
+    paused: state.paused,
+    playbackRate: state.playbackRate,
+    serverTime: now,
+    updatedAt: state.updatedAt,
+    updatedBy: state.updatedBy
+  };
+}
+
+/**
+ * Update the canonical playback state of a room from a relayed event or state
+ * Fields missing from the update (e.g. currentTime on a ratechange) are carried
+ * over from the previous state, with the position projected to now.
+ * @param {WebSocket} ws - The WebSocket client that caused the change
+ * @param {string} roomId - The room ID
+ * @param {object} update - Partial state: { currentTime, paused, playbackRate }
+ * @param {number} now - Server time at which the update was captured
+ */
+function updateRoomState(ws, roomId, update, now = Date.now()) {
+  const previous = roomStates.get(roomId);
+  const membership = getMembership(ws, roomId);
+
+  const currentTime = isFiniteNumber(update.currentTime)
+    ? update.currentTime
+    : (previous ? projectRoomPosition(previous, now) : null);
+
+  // Without any known position there is nothing meaningful to store
+  if (currentTime === null) return;
+
+  roomStates.set(roomId, {
+    currentTime: Math.max(0, currentTime),
+    paused: typeof update.paused === 'boolean' ? update.paused : (previous ? previous.paused : true),
+    playbackRate: isFiniteNumber(update.playbackRate) && update.playbackRate > 0
+      ? update.playbackRate
+      : (previous ? previous.playbackRate : 1),
+    updatedAt: now,
+    updatedBy: {
+      id: (membership && membership.userId) || 'unknown',
+      name: (membership && membership.username) || 'Anonymous'
+    }
+  });
+}
+
+/**
+ * Convert a video event into a partial room state update
+ * @param {object} event - The video event
+ * @returns {object} Partial state: { currentTime, paused, playbackRate }
+ */
+function getStateUpdateFromEvent(event) {
+  switch (event.eventType) {
+    case 'play':
+      return { currentTime: event.currentTime, paused: false, playbackRate: event.playbackRate };
+    case 'pause':
+      return { currentTime: event.currentTime, paused: true };
+    case 'seek':
+      return { currentTime: event.currentTime, paused: event.paused };
+    case 'ratechange':
+      return { playbackRate: event.playbackRate };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Determine the server time at which a relayed event was captured
+ * Clients with a synchronized clock report when they sent the event in server
+ * time; that is used if plausible, otherwise the server's receive time.
+ * @param {*} sentAt - The client-reported send time in server time
+ * @param {number} receivedAt - The server time the message was received
+ * @returns {number} The server time to stamp the event with
+ */
+function getEventServerTime(sentAt, receivedAt) {
+  if (isFiniteNumber(sentAt) && sentAt <= receivedAt && receivedAt - sentAt <= MAX_REPORTED_EVENT_AGE_MS) {
+    return sentAt;
+  }
+  return receivedAt;
+}
+
 /**
  * Handle video events from a client
  * @param {WebSocket} ws - The WebSocket client
  * @param {string} roomId - The room ID
  * @param {object} event - The video event
+ * @param {number} serverTime - Server time at which the event was captured
  */
-function handleVideoEvent(ws, roomId, event) {
+function handleVideoEvent(ws, roomId, event, serverTime) {
+  if (!canControlPlayback(getMembership(ws, roomId), roomId)) {
+    rejectPlaybackControl(ws, roomId);
+    return;
+  }
+
+  updateRoomState(ws, roomId, getStateUpdateFromEvent(event), serverTime);
+
   broadcastToRoom(roomId, {
     type: 'VIDEO_EVENT',
-    event: event
+    event: event,
+    serverTime: serverTime
   }, ws);
 }
 
@@ -242,14 +1544,61 @@ function handleVideoEvent(ws, roomId, event) {
  * @param {WebSocket} ws - The WebSocket client
  * @param {string} roomId - The room ID
  * @param {object} state - The video state
+ * @param {number} serverTime - Server time at which the state was captured
  */
-function handleSyncVideoState(ws, roomId, state) {
+function handleSyncVideoState(ws, roomId, state, serverTime) {
+  if (!canControlPlayback(getMembership(ws, roomId), roomId)) {
+    rejectPlaybackControl(ws, roomId);
+    return;
+  }
+
+  updateRoomState(ws, roomId, state, serverTime);
+
   broadcastToRoom(roomId, {
     type: 'SYNC_VIDEO_STATE',
-    state: state
+    state: state,
+    serverTime: serverTime
+  }, ws);
+}
+
+/**
+ * Handle a position heartbeat from a client
+ * Only the host's heartbeats are relayed, since followers correct their drift
+ * against a single reference. Heartbeats also keep the room state current.
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ * @param {object} state - The host's video state
+ * @param {number} serverTime - Server time at which the state was captured
+ */
+function handleHeartbeat(ws, roomId, state, serverTime) {
+  if (!isRoomHost(getMembership(ws, roomId), roomId)) return;
+
+  updateRoomState(ws, roomId, state, serverTime);
+
+  broadcastToRoom(roomId, {
+    type: 'HEARTBEAT',
+    state: state,
+    serverTime: serverTime
   }, ws);
 }
 
+/**
+ * Handle a clock synchronization ping from a client
+ * Replies with the server receive and send times so the client can estimate
+ * its clock offset and round-trip time NTP-style.
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {number} clientTime - The client's clock when the ping was sent
+ * @param {number} receivedAt - The server time the ping was received
+ */
+function handlePing(ws, clientTime, receivedAt) {
+  sendMessage(ws, {
+    type: 'PONG',
+    clientTime: clientTime,
+    serverReceiveTime: receivedAt,
+    serverSendTime: Date.now()
+  });
+}
+
 /**
  * Validate that a URL is safe (http or https only)
  * @param {string} url - The URL to validate
@@ -270,7 +1619,8 @@ function isValidUrl(url) {
 }
 
 /**
- * Validate room ID format (alphanumeric, 6 characters)
+ * Validate room ID format (alphanumeric, 1-20 characters)
+ * The extension checks the same bounds in room-id.js before joining.
  * @param {string} roomId - The room ID to validate
  * @returns {boolean} True if the room ID is valid
  */
@@ -289,9 +1639,8 @@ function isValidRoomId(roomId) {
  * @param {string} url - The current video page URL
  */
 function handleUpdateHostUrl(ws, roomId, url) {
-  const clientInfo = clients.get(ws);
   // Only allow host to update URL
-  if (clientInfo && clientInfo.isHost) {
+  if (isRoomHost(getMembership(ws, roomId), roomId)) {
     // Validate URL before storing and broadcasting
     if (!isValidUrl(url)) {
       console.log(`Invalid URL rejected for room ${roomId}: ${url}`);
@@ -309,12 +1658,26 @@ function handleUpdateHostUrl(ws, roomId, url) {
   }
 }
 
+/**
+ * Handle a request for the current playback state of a room
+ * @param {WebSocket} ws - The WebSocket client
+ * @param {string} roomId - The room ID
+ */
+function handleGetRoomState(ws, roomId) {
+  sendMessage(ws, {
+    type: 'ROOM_STATE',
+    roomId: roomId,
+    state: getRoomState(roomId)
+  });
+}
+
 /**
  * Handle incoming WebSocket messages
  * @param {WebSocket} ws - The WebSocket client
  * @param {string} data - The raw message data
  */
 function handleMessage(ws, data) {
+  const receivedAt = Date.now();
   try {
     const message = JSON.parse(data);
 
@@ -326,36 +1689,113 @@ function handleMessage(ws, data) {
             sendMessage(ws, { type: 'ERROR', error: 'Invalid room ID format. Room ID must be 1-20 alphanumeric characters.' });
             break;
           }
-          handleJoinRoom(ws, message.roomId, message.userId, message.username);
+          if (!isValidPassword(message.password)) {
+            sendMessage(ws, { type: 'ERROR', error: `Room password must be a string of at most ${MAX_PASSWORD_LENGTH} characters.` });
+            break;
+          }
+          handleJoinRoom(ws, message.roomId, message.userId, message.username, message.password, message.resumeToken, message.inviteToken);
         } else {
           sendMessage(ws, { type: 'ERROR', error: 'Room ID is required' });
         }
         break;
 
       case 'LEAVE_ROOM':
-        if (message.roomId) {
-          handleLeaveRoom(ws, message.roomId);
+        // Leaving while waiting in the lobby withdraws the request, anyone else has to be a member
+        if (message.roomId && !cancelJoinRequest(ws, message.roomId) && requireRoomMember(ws, message.roomId)) {
+          handleLeaveRoom(ws, message.roomId, true, message.successorId);
         }
         break;
 
       case 'VIDEO_EVENT':
-        if (message.roomId && message.event) {
-          handleVideoEvent(ws, message.roomId, message.event);
+        if (message.roomId && message.event && requireRoomMember(ws, message.roomId)) {
+          handleVideoEvent(ws, message.roomId, message.event, getEventServerTime(message.sentAt, receivedAt));
         }
         break;
 
       case 'SYNC_VIDEO_STATE':
-        if (message.roomId && message.state) {
-          handleSyncVideoState(ws, message.roomId, message.state);
+        if (message.roomId && message.state && requireRoomMember(ws, message.roomId)) {
+          handleSyncVideoState(ws, message.roomId, message.state, getEventServerTime(message.sentAt, receivedAt));
         }
         break;
 
       case 'UPDATE_HOST_URL':
-        if (message.roomId && message.url) {
+        if (message.roomId && message.url && requireRoomMember(ws, message.roomId)) {
           handleUpdateHostUrl(ws, message.roomId, message.url);
         }
         break;
 
+      case 'UPDATE_ROOM_SETTINGS':
+        if (message.roomId && message.settings) {
+          handleUpdateRoomSettings(ws, message.roomId, message.settings);
+        }
+        break;
+
+      case 'RESPOND_JOIN_REQUEST':
+        if (message.roomId && message.requestId) {
+          handleRespondJoinRequest(ws, message.roomId, message.requestId, message.approved === true);
+        }
+        break;
+
+      case 'CREATE_INVITE':
+        if (message.roomId) {
+          handleCreateInvite(ws, message.roomId, message);
+        }
+        break;
+
+      case 'LIST_INVITES':
+        if (message.roomId) {
+          handleListInvites(ws, message.roomId);
+        }
+        break;
+
+      case 'REVOKE_INVITE':
+        if (message.roomId && message.inviteId) {
+          handleRevokeInvite(ws, message.roomId, message.inviteId);
+        }
+        break;
+
+      case 'TRANSFER_HOST':
+        if (message.roomId && message.userId) {
+          handleTransferHost(ws, message.roomId, message.userId);
+        }
+        break;
+
+      case 'SET_ROLE':
+        if (message.roomId && message.userId && message.role) {
+          handleSetRole(ws, message.roomId, message.userId, message.role);
+        }
+        break;
+
+      case 'KICK_USER':
+        if (message.roomId && message.userId) {
+          handleKickUser(ws, message.roomId, message.userId, false, false);
+        }
+        break;
+
+      case 'BAN_USER':
+        if (message.roomId && message.userId) {
+          handleKickUser(ws, message.roomId, message.userId, true, message.banAddress === true);
+        }
+        break;
+
+      case 'HEARTBEAT':
+        if (message.roomId && message.state && requireRoomMember(ws, message.roomId)) {
+          handleHeartbeat(ws, message.roomId, message.state, getEventServerTime(message.sentAt, receivedAt));
+        }
+        break;
+
+      case 'PING':
+        if (isFiniteNumber(message.clientTime)) {
+          handlePing(ws, message.clientTime, receivedAt);
+        }
+        break;
+
+      case 'GET_ROOM_STATE':
+        if (message.roomId && requireRoomMember(ws, message.roomId)) {
+          handleGetRoomState(ws, message.roomId);
+        }
+        break;
+
       default:
         sendMessage(ws, { type: 'ERROR', error: 'Unknown message type' });
     }
@@ -367,32 +1807,100 @@ function handleMessage(ws, data) {
 
 /**
  * Handle client disconnection
+ * Only dropped connections keep their places for a resume. A client that closed
+ * cleanly has left, so host handover runs right away.
  * @param {WebSocket} ws - The WebSocket client
+ * @param {number} [closeCode] - The close code, if the connection closed rather than errored
  */
-function handleDisconnect(ws) {
+function handleDisconnect(ws, closeCode) {
+  connectionLastSeen.delete(ws);
+  joinRequests.forEach((request) => {
+    if (request.ws === ws) {
+      cancelJoinRequest(ws, request.roomId);
+    }
+  });
+
   const clientInfo = clients.get(ws);
-  if (clientInfo && clientInfo.roomId) {
-    handleLeaveRoom(ws, clientInfo.roomId, false);
+  if (clientInfo) {
+    // Keep the member's place in each room for a while in case they reconnect
+    const closedCleanly = closeCode === CLEAN_CLOSE_CODE;
+    clientInfo.memberships.forEach((membership) => {
+      if (closedCleanly || !holdResumeSession(ws, membership)) {
+        handleLeaveRoom(ws, membership.roomId, false);
+      }
+    });
+    releaseClosedConnection(ws);
   }
-  clients.delete(ws);
   console.log('Client disconnected.');
 }
 
+/**
+ * Ping a connection and drop it if it doesn't answer in time
+ * Half-open connections (a closed laptop lid, a Wi-Fi switch) never fire
+ * 'close' by themselves; terminating them runs the normal disconnect path.
+ * @param {WebSocket} ws - The WebSocket client
+ */
+function pingConnection(ws) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  const pingSentAt = Date.now();
+  ws.ping();
+
+  const timer = setTimeout(() => {
+    if (ws.readyState === WebSocket.OPEN && (connectionLastSeen.get(ws) || 0) < pingSentAt) {
+      const clientInfo = clients.get(ws);
+      console.log(`Client at ${clientInfo && clientInfo.address ? clientInfo.address : 'unknown address'} did not answer ping, terminating.`);
+      ws.terminate();
+    }
+  }, WS_PING_TIMEOUT_MS);
+  timer.unref();
+}
+
+/**
+ * Start pinging all connections
+ */
+function startConnectionHeartbeat() {
+  stopConnectionHeartbeat();
+  connectionHeartbeatTimer = setInterval(() => {
+    wss.clients.forEach(pingConnection);
+  }, WS_PING_INTERVAL_MS);
+}
+
+/**
+ * Stop pinging connections
+ */
+function stopConnectionHeartbeat() {
+  clearInterval(connectionHeartbeatTimer);
+  connectionHeartbeatTimer = null;
+}
+
+// Ping connections only while the server is listening
+server.on('listening', startConnectionHeartbeat);
+server.on('close', stopConnectionHeartbeat);
+
 // WebSocket connection handler
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   console.log('New client connected.');
   
-  // Initialize client info with isHost: false (will be set when joining a room)
-  clients.set(ws, { roomId: null, userId: null, username: null, isHost: false });
+  // Initialize client info without any rooms (memberships are added when joining)
+  clients.set(ws, { address: getRemoteAddress(req), memberships: new Map() });
+
+  connectionLastSeen.set(ws, Date.now());
 
-  // Send welcome message
-  sendMessage(ws, { type: 'CONNECTED' });
+  // Send welcome message, the version lets clients check which server they reached
+  sendMessage(ws, { type: 'CONNECTED', version: SERVER_VERSION });
+
+  // Any traffic shows the connection is alive
+  ws.on('pong', () => connectionLastSeen.set(ws, Date.now()));
 
   // Handle messages
-  ws.on('message', (data) => handleMessage(ws, data.toString()));
+  ws.on('message', (data) => {
+    connectionLastSeen.set(ws, Date.now());
+    handleMessage(ws, data.toString());
+  });
 
   // Handle disconnection
-  ws.on('close', () => handleDisconnect(ws));
+  ws.on('close', (code) => handleDisconnect(ws, code));
 
   // Handle errors
   ws.on('error', (error) => {
@@ -401,11 +1909,6 @@ wss.on('connection', (ws) => {
   });
 });
 
-// Start the server
-server.listen(PORT, () => {
-  console.log(`Sync Player Signaling Server running on port ${PORT}`);
-});
-
 // Graceful shutdown handler
 function gracefulShutdown() {
   console.log('Shutting down gracefully...');
@@ -421,6 +1924,33 @@ function gracefulShutdown() {
   });
 }
 
-// Handle termination signals
-process.on('SIGTERM', gracefulShutdown);
-process.on('SIGINT', gracefulShutdown);
+// Start the server when run directly (the test suite starts it on its own port)
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Sync Player Signaling Server running on port ${PORT}`);
+  });
+
+  // Handle termination signals
+  process.on('SIGTERM', gracefulShutdown);
+  process.on('SIGINT', gracefulShutdown);
+}
+
+module.exports = {
+  ROLES,
+  ERROR_CODES,
+  SERVER_VERSION,
+  server,
+  wss,
+  rooms,
+  clients,
+  roomUrls,
+  roomStates,
+  roomSettings,
+  roomPasswords,
+  joinRequests,
+  roomBans,
+  roomInvites,
+  resumeSessions,
+  handleMessage,
+  getRoomState
+};
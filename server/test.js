@@ -13,19 +13,27 @@ const TEST_PORT = 8081;
 const WS_URL = `ws://localhost:${TEST_PORT}`;
 const HTTP_URL = `http://localhost:${TEST_PORT}`;
 
-// Import server code (we'll need to modify how we start it for testing)
-let server;
-let wss;
-let rooms;
-let clients;
+// Short lobby timeout so timed-out join requests can be tested
+process.env.JOIN_REQUEST_TIMEOUT_MS = '500';
+// Fast connection heartbeat so unresponsive sockets are reaped quickly
+process.env.WS_PING_INTERVAL_MS = '200';
+process.env.WS_PING_TIMEOUT_MS = '200';
+// Short reconnect grace period so dropped members are removed quickly
+process.env.RESUME_GRACE_PERIOD_MS = '300';
+// One trusted proxy, the tests send the X-Forwarded-For header it would add
+process.env.TRUST_PROXY_HOPS = '1';
+
+// The real server module; it only listens when started by the tests
+const { server, wss, roomStates, roomPasswords, SERVER_VERSION } = require('./server');
 
 /**
  * Helper to create a WebSocket client and wait for CONNECTED message
+ * @param {object} options - WebSocket options, e.g. headers for the upgrade request
  * @returns {Promise<{ws: WebSocket, connectedMsg: object}>}
  */
-function createClient() {
+function createClient(options = {}) {
   return new Promise((resolve, reject) => {
-    const ws = new WebSocket(WS_URL);
+    const ws = new WebSocket(WS_URL, options);
     const timeout = setTimeout(() => {
       ws.close();
       reject(new Error('Connection timeout'));
@@ -97,224 +105,12 @@ async function sendAndWait(ws, message, expectedType) {
 // Start server before tests
 function startServer() {
   return new Promise((resolve) => {
-    const httpServer = http.createServer((req, res) => {
-      if (req.url === '/health') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ status: 'healthy', rooms: rooms.size }));
-      } else {
-        res.writeHead(200, { 'Content-Type': 'text/plain' });
-        res.end('Sync Player Signaling Server');
-      }
-    });
-
-    rooms = new Map();
-    clients = new Map();
-    const roomUrls = new Map();
-    wss = new WebSocket.Server({ server: httpServer });
-
-    wss.on('connection', (ws) => {
-      clients.set(ws, { roomId: null, userId: null, username: null, isHost: false });
-      ws.send(JSON.stringify({ type: 'CONNECTED' }));
-
-      ws.on('message', (data) => {
-        try {
-          const message = JSON.parse(data.toString());
-          handleMessage(ws, message, roomUrls);
-        } catch (error) {
-          ws.send(JSON.stringify({ type: 'ERROR', error: 'Invalid message format' }));
-        }
-      });
-
-      ws.on('close', () => {
-        const clientInfo = clients.get(ws);
-        if (clientInfo && clientInfo.roomId) {
-          leaveRoom(ws, clientInfo.roomId, false, roomUrls);
-        }
-        clients.delete(ws);
-      });
-    });
-
-    server = httpServer;
-    httpServer.listen(TEST_PORT, () => {
+    server.listen(TEST_PORT, () => {
       resolve();
     });
   });
 }
 
-function isValidUrl(url) {
-  if (!url || typeof url !== 'string') {
-    return false;
-  }
-  try {
-    const parsedUrl = new URL(url);
-    return parsedUrl.protocol === 'http:' || parsedUrl.protocol === 'https:';
-  } catch (e) {
-    return false;
-  }
-}
-
-function isValidRoomId(roomId) {
-  if (!roomId || typeof roomId !== 'string') {
-    return false;
-  }
-  return /^[A-Za-z0-9]{1,20}$/.test(roomId);
-}
-
-function handleMessage(ws, message, roomUrls) {
-  switch (message.type) {
-    case 'JOIN_ROOM':
-      if (message.roomId) {
-        if (!isValidRoomId(message.roomId)) {
-          ws.send(JSON.stringify({ type: 'ERROR', error: 'Invalid room ID format. Room ID must be 1-20 alphanumeric characters.' }));
-          break;
-        }
-        joinRoom(ws, message.roomId, message.userId, message.username, roomUrls);
-      } else {
-        ws.send(JSON.stringify({ type: 'ERROR', error: 'Room ID is required' }));
-      }
-      break;
-    case 'LEAVE_ROOM':
-      if (message.roomId) {
-        leaveRoom(ws, message.roomId, true, roomUrls);
-      }
-      break;
-    case 'VIDEO_EVENT':
-      if (message.roomId && message.event) {
-        broadcastToRoom(message.roomId, { type: 'VIDEO_EVENT', event: message.event }, ws);
-      }
-      break;
-    case 'SYNC_VIDEO_STATE':
-      if (message.roomId && message.state) {
-        broadcastToRoom(message.roomId, { type: 'SYNC_VIDEO_STATE', state: message.state }, ws);
-      }
-      break;
-    case 'UPDATE_HOST_URL':
-      if (message.roomId && message.url) {
-        const clientInfo = clients.get(ws);
-        if (clientInfo && clientInfo.isHost) {
-          if (!isValidUrl(message.url)) {
-            ws.send(JSON.stringify({ type: 'ERROR', error: 'Invalid URL format. Only http and https URLs are allowed.' }));
-            break;
-          }
-          roomUrls.set(message.roomId, message.url);
-          broadcastToRoom(message.roomId, { type: 'HOST_URL_UPDATED', url: message.url }, ws);
-        }
-      }
-      break;
-    default:
-      ws.send(JSON.stringify({ type: 'ERROR', error: 'Unknown message type' }));
-  }
-}
-
-function joinRoom(ws, roomId, userId, username, roomUrls) {
-  // Check if client is already in this room (rejoining)
-  const clientInfo = clients.get(ws);
-  const isRejoining = clientInfo && clientInfo.roomId === roomId;
-  
-  // Leave any existing room first, but only if it's a different room
-  if (clientInfo && clientInfo.roomId && clientInfo.roomId !== roomId) {
-    leaveRoom(ws, clientInfo.roomId, false, roomUrls);
-  }
-
-  // Determine if this client is the host
-  // If rejoining, preserve existing host status
-  // Otherwise, client is host if the room doesn't exist yet
-  let isHost;
-  if (isRejoining && clientInfo) {
-    isHost = clientInfo.isHost;
-  } else {
-    isHost = !rooms.has(roomId);
-  }
-  
-  if (!rooms.has(roomId)) {
-    rooms.set(roomId, new Set());
-  }
-
-  const roomClients = rooms.get(roomId);
-  roomClients.add(ws);
-  clients.set(ws, { 
-    roomId, 
-    isHost,
-    userId: (isRejoining && clientInfo && clientInfo.userId) ? clientInfo.userId : (userId || 'test-user'),
-    username: username || 'Anonymous' 
-  });
-
-  const hostUrl = roomUrls.get(roomId);
-  const users = getRoomUsers(roomId);
-  
-  ws.send(JSON.stringify({ 
-    type: 'ROOM_JOINED', 
-    roomId, 
-    peerCount: roomClients.size, 
-    isHost, 
-    hostUrl: hostUrl || null,
-    users
-  }));
-  
-  // Only notify other clients if this is a new join, not a rejoin
-  if (!isRejoining) {
-    broadcastToRoom(roomId, { type: 'PEER_JOINED', peerCount: roomClients.size, users }, ws);
-  } else {
-    // For rejoining, just update users list without broadcasting join event
-    broadcastToRoom(roomId, { type: 'USERS_UPDATE', users });
-  }
-}
-
-function getRoomUsers(roomId) {
-  const roomClients = rooms.get(roomId);
-  if (!roomClients) return [];
-  
-  const users = [];
-  roomClients.forEach((client) => {
-    const clientInfo = clients.get(client);
-    if (clientInfo) {
-      users.push({
-        id: clientInfo.userId || 'unknown',
-        name: clientInfo.username || 'Anonymous'
-      });
-    }
-  });
-  return users;
-}
-
-function leaveRoom(ws, roomId, notifyClient = true, roomUrls) {
-  const roomClients = rooms.get(roomId);
-  if (!roomClients) return;
-
-  roomClients.delete(ws);
-
-  if (roomClients.size === 0) {
-    rooms.delete(roomId);
-    if (roomUrls) {
-      roomUrls.delete(roomId);
-    }
-  } else {
-    const users = getRoomUsers(roomId);
-    broadcastToRoom(roomId, { type: 'PEER_LEFT', peerCount: roomClients.size, users });
-  }
-
-  const clientInfo = clients.get(ws);
-  if (clientInfo) {
-    clientInfo.roomId = null;
-    clientInfo.isHost = false;
-  }
-
-  if (notifyClient) {
-    ws.send(JSON.stringify({ type: 'ROOM_LEFT', roomId }));
-  }
-}
-
-function broadcastToRoom(roomId, message, excludeClient = null) {
-  const roomClients = rooms.get(roomId);
-  if (!roomClients) return;
-
-  roomClients.forEach((client) => {
-    if (client !== excludeClient && client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(message));
-    }
-  });
-}
-
 // Stop server after tests
 function stopServer() {
   return new Promise((resolve) => {
@@ -606,6 +402,908 @@ async function runTests() {
     rejoinHost.close();
     rejoinGuest.close();
 
+    // Test 17: Late joiner receives the room playback state
+    console.log('\nTest 17: Late joiner receives room playback state');
+    const { ws: stateHost } = await createClient();
+    const stateRoomId = 'STATE01';
+    const stateHostJoin = await sendAndWait(stateHost, {
+      type: 'JOIN_ROOM',
+      roomId: stateRoomId,
+      userId: 'statehost',
+      username: 'StateHost'
+    }, 'ROOM_JOINED');
+    assert.strictEqual(stateHostJoin.roomState, null, 'New room should have no playback state');
+
+    stateHost.send(JSON.stringify({
+      type: 'VIDEO_EVENT',
+      roomId: stateRoomId,
+      event: { eventType: 'pause', currentTime: 42, timestamp: Date.now() }
+    }));
+    // Give the server a moment to process the event
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const { ws: lateGuest } = await createClient();
+    const lateJoin = await sendAndWait(lateGuest, { type: 'JOIN_ROOM', roomId: stateRoomId }, 'ROOM_JOINED');
+    assert.ok(lateJoin.roomState, 'Late joiner should receive room state');
+    assert.strictEqual(lateJoin.roomState.currentTime, 42);
+    assert.strictEqual(lateJoin.roomState.paused, true);
+    assert.strictEqual(lateJoin.roomState.playbackRate, 1);
+    assert.strictEqual(lateJoin.roomState.updatedBy.id, 'statehost');
+    assert.strictEqual(lateJoin.roomState.updatedBy.name, 'StateHost');
+    console.log('✓ Late joiner receives the room playback state in ROOM_JOINED');
+    passed++;
+
+    // Test 18: Room state is queryable and tracks relayed events
+    console.log('\nTest 18: Room state query');
+    stateHost.send(JSON.stringify({
+      type: 'VIDEO_EVENT',
+      roomId: stateRoomId,
+      event: { eventType: 'play', currentTime: 50, playbackRate: 2, timestamp: Date.now() }
+    }));
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const stateResponse = await sendAndWait(lateGuest, { type: 'GET_ROOM_STATE', roomId: stateRoomId }, 'ROOM_STATE');
+    assert.strictEqual(stateResponse.roomId, stateRoomId);
+    assert.strictEqual(stateResponse.state.paused, false);
+    assert.strictEqual(stateResponse.state.playbackRate, 2);
+    assert.ok(stateResponse.state.currentTime >= 50, 'Playing position should be projected forward');
+    assert.ok(stateResponse.state.currentTime < 52, 'Projected position should stay close to the last event');
+
+    // A ratechange without a position keeps the projected position
+    stateHost.send(JSON.stringify({
+      type: 'VIDEO_EVENT',
+      roomId: stateRoomId,
+      event: { eventType: 'ratechange', playbackRate: 1, timestamp: Date.now() }
+    }));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const rateResponse = await sendAndWait(lateGuest, { type: 'GET_ROOM_STATE', roomId: stateRoomId }, 'ROOM_STATE');
+    assert.strictEqual(rateResponse.state.playbackRate, 1);
+    assert.ok(rateResponse.state.currentTime >= 50, 'Position should be carried over on ratechange');
+    console.log('✓ Room state can be queried and follows relayed events');
+    passed++;
+
+    stateHost.close();
+    lateGuest.close();
+
+    // Test 19: Clock synchronization ping
+    console.log('\nTest 19: Clock synchronization ping');
+    const { ws: clockClient } = await createClient();
+    const clientTime = Date.now() - 60000; // Simulate a client clock running a minute behind
+    const pong = await sendAndWait(clockClient, { type: 'PING', clientTime }, 'PONG');
+    assert.strictEqual(pong.clientTime, clientTime, 'PONG should echo the client send time');
+    assert.ok(pong.serverReceiveTime <= pong.serverSendTime, 'Server receive time should not be after send time');
+    assert.ok(Math.abs(pong.serverReceiveTime - Date.now()) < 1000, 'Server times should use the server clock');
+    console.log('✓ Server answers PING with PONG carrying server receive and send times');
+    passed++;
+
+    // Test 20: Relayed events are stamped with server time
+    console.log('\nTest 20: Relayed events carry server time');
+    const { ws: stampSender } = await createClient();
+    const { ws: stampReceiver } = await createClient();
+    const stampRoomId = 'CLOCK01';
+    await sendAndWait(stampSender, { type: 'JOIN_ROOM', roomId: stampRoomId }, 'ROOM_JOINED');
+    await sendAndWait(stampReceiver, { type: 'JOIN_ROOM', roomId: stampRoomId }, 'ROOM_JOINED');
+
+    // Without a reported send time the server receive time is used
+    const beforeSend = Date.now();
+    const stampedEventPromise = waitForMessage(stampReceiver, 'VIDEO_EVENT');
+    stampSender.send(JSON.stringify({
+      type: 'VIDEO_EVENT',
+      roomId: stampRoomId,
+      event: { eventType: 'play', currentTime: 5, playbackRate: 1, timestamp: 0 }
+    }));
+    const stampedEvent = await stampedEventPromise;
+    assert.ok(stampedEvent.serverTime >= beforeSend, 'Relayed event should be stamped with server receive time');
+
+    // A plausible reported send time (already in server time) is kept
+    const sentAt = Date.now() - 150;
+    const reportedEventPromise = waitForMessage(stampReceiver, 'SYNC_VIDEO_STATE');
+    stampSender.send(JSON.stringify({
+      type: 'SYNC_VIDEO_STATE',
+      roomId: stampRoomId,
+      sentAt,
+      state: { currentTime: 6, paused: false, playbackRate: 1, timestamp: 0 }
+    }));
+    const reportedEvent = await reportedEventPromise;
+    assert.strictEqual(reportedEvent.serverTime, sentAt, 'Plausible reported send time should be kept');
+
+    // An implausible reported send time is replaced by the receive time
+    const bogusEventPromise = waitForMessage(stampReceiver, 'VIDEO_EVENT');
+    stampSender.send(JSON.stringify({
+      type: 'VIDEO_EVENT',
+      roomId: stampRoomId,
+      sentAt: Date.now() + 3600000,
+      event: { eventType: 'pause', currentTime: 7, timestamp: 0 }
+    }));
+    const bogusEvent = await bogusEventPromise;
+    assert.ok(bogusEvent.serverTime <= Date.now(), 'Future send time should be replaced by server time');
+    console.log('✓ Relayed events are stamped with server time');
+    passed++;
+
+    clockClient.close();
+    stampSender.close();
+    stampReceiver.close();
+
+    // Test 21: Host position heartbeats are relayed and update room state
+    console.log('\nTest 21: Position heartbeats');
+    const { ws: beatHost } = await createClient();
+    const { ws: beatFollower } = await createClient();
+    const beatRoomId = 'BEAT01';
+    await sendAndWait(beatHost, { type: 'JOIN_ROOM', roomId: beatRoomId }, 'ROOM_JOINED');
+    await sendAndWait(beatFollower, { type: 'JOIN_ROOM', roomId: beatRoomId }, 'ROOM_JOINED');
+
+    const heartbeatPromise = waitForMessage(beatFollower, 'HEARTBEAT');
+    beatHost.send(JSON.stringify({
+      type: 'HEARTBEAT',
+      roomId: beatRoomId,
+      state: { currentTime: 120, paused: false, playbackRate: 1, timestamp: Date.now() }
+    }));
+    const heartbeat = await heartbeatPromise;
+    assert.strictEqual(heartbeat.state.currentTime, 120);
+    assert.ok(typeof heartbeat.serverTime === 'number', 'Heartbeat should be stamped with server time');
+
+    const beatState = await sendAndWait(beatFollower, { type: 'GET_ROOM_STATE', roomId: beatRoomId }, 'ROOM_STATE');
+    assert.ok(beatState.state.currentTime >= 120, 'Heartbeat should update the room state');
+
+    // Heartbeats from followers are ignored
+    let followerBeatRelayed = false;
+    const followerBeatCheck = waitForMessage(beatHost, 'HEARTBEAT', 300)
+      .then(() => { followerBeatRelayed = true; })
+      .catch(() => {});
+    beatFollower.send(JSON.stringify({
+      type: 'HEARTBEAT',
+      roomId: beatRoomId,
+      state: { currentTime: 10, paused: false, playbackRate: 1, timestamp: Date.now() }
+    }));
+    await followerBeatCheck;
+    assert.strictEqual(followerBeatRelayed, false, 'Follower heartbeats should not be relayed');
+    console.log('✓ Host heartbeats are relayed and update room state; follower heartbeats are ignored');
+    passed++;
+
+    beatHost.close();
+    beatFollower.close();
+
+    // Test 22: Host handover when the host disconnects
+    console.log('\nTest 22: Host handover on disconnect');
+    const { ws: handoverHost } = await createClient();
+    const { ws: firstGuest } = await createClient();
+    const { ws: secondGuest } = await createClient();
+    const handoverRoomId = 'HAND01';
+    await sendAndWait(handoverHost, { type: 'JOIN_ROOM', roomId: handoverRoomId, userId: 'hhost', username: 'Host' }, 'ROOM_JOINED');
+    await sendAndWait(firstGuest, { type: 'JOIN_ROOM', roomId: handoverRoomId, userId: 'hfirst', username: 'First' }, 'ROOM_JOINED');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await sendAndWait(secondGuest, { type: 'JOIN_ROOM', roomId: handoverRoomId, userId: 'hsecond', username: 'Second' }, 'ROOM_JOINED');
+
+    const hostChangedPromise = waitForMessage(secondGuest, 'HOST_CHANGED');
+    handoverHost.close();
+    const hostChanged = await hostChangedPromise;
+    assert.strictEqual(hostChanged.hostId, 'hfirst', 'Longest-connected member should become host');
+    assert.strictEqual(hostChanged.hostName, 'First');
+
+    // The new host can now publish its URL
+    const handoverUrl = 'https://www.example.com/next-video';
+    const handoverUrlPromise = waitForMessage(secondGuest, 'HOST_URL_UPDATED');
+    firstGuest.send(JSON.stringify({ type: 'UPDATE_HOST_URL', roomId: handoverRoomId, url: handoverUrl }));
+    const handoverUrlUpdate = await handoverUrlPromise;
+    assert.strictEqual(handoverUrlUpdate.url, handoverUrl);
+    console.log('✓ Longest-connected member is promoted when the host disconnects');
+    passed++;
+
+    // Test 23: Departing host picks a successor
+    console.log('\nTest 23: Departing host picks a successor');
+    const { ws: thirdGuest } = await createClient();
+    await sendAndWait(thirdGuest, { type: 'JOIN_ROOM', roomId: handoverRoomId, userId: 'hthird', username: 'Third' }, 'ROOM_JOINED');
+    const pickedPromise = waitForMessage(thirdGuest, 'HOST_CHANGED');
+    await sendAndWait(firstGuest, { type: 'LEAVE_ROOM', roomId: handoverRoomId, successorId: 'hthird' }, 'ROOM_LEFT');
+    const picked = await pickedPromise;
+    assert.strictEqual(picked.hostId, 'hthird', 'Picked successor should become host');
+    console.log('✓ Departing host can hand over to a chosen member');
+    passed++;
+
+    firstGuest.close();
+    secondGuest.close();
+    thirdGuest.close();
+
+    // Test 24: Roles are exposed in the users list
+    console.log('\nTest 24: Room roles');
+    const { ws: roleHost } = await createClient();
+    const { ws: roleViewer } = await createClient();
+    const roleRoomId = 'ROLE01';
+    const roleHostJoin = await sendAndWait(roleHost, { type: 'JOIN_ROOM', roomId: roleRoomId, userId: 'rhost', username: 'RoleHost' }, 'ROOM_JOINED');
+    assert.strictEqual(roleHostJoin.role, 'host');
+    const roleViewerJoin = await sendAndWait(roleViewer, { type: 'JOIN_ROOM', roomId: roleRoomId, userId: 'rviewer', username: 'RoleViewer' }, 'ROOM_JOINED');
+    assert.strictEqual(roleViewerJoin.role, 'viewer');
+    const roleOf = (users, id) => users.find(u => u.id === id).role;
+    assert.strictEqual(roleOf(roleViewerJoin.users, 'rhost'), 'host');
+    assert.strictEqual(roleOf(roleViewerJoin.users, 'rviewer'), 'viewer');
+    console.log('✓ Users list includes host and viewer roles');
+    passed++;
+
+    // Test 25: Host can promote and demote, others cannot
+    console.log('\nTest 25: SET_ROLE');
+    const promoted = await sendAndWait(roleHost, { type: 'SET_ROLE', roomId: roleRoomId, userId: 'rviewer', role: 'cohost' }, 'ROLE_CHANGED');
+    assert.strictEqual(promoted.userId, 'rviewer');
+    assert.strictEqual(promoted.role, 'cohost');
+    assert.strictEqual(roleOf(promoted.users, 'rviewer'), 'cohost');
+
+    const setRoleError = await sendAndWait(roleViewer, { type: 'SET_ROLE', roomId: roleRoomId, userId: 'rhost', role: 'viewer' }, 'ERROR');
+    assert.ok(setRoleError.error, 'Non-host SET_ROLE should be rejected');
+
+    const badRoleError = await sendAndWait(roleHost, { type: 'SET_ROLE', roomId: roleRoomId, userId: 'rviewer', role: 'host' }, 'ERROR');
+    assert.ok(badRoleError.error, 'SET_ROLE cannot grant host status');
+
+    const demoted = await sendAndWait(roleHost, { type: 'SET_ROLE', roomId: roleRoomId, userId: 'rviewer', role: 'viewer' }, 'ROLE_CHANGED');
+    assert.strictEqual(demoted.role, 'viewer');
+    console.log('✓ Host can promote to co-host and demote to viewer; others cannot');
+    passed++;
+
+    // Test 26: Host can transfer host status
+    console.log('\nTest 26: TRANSFER_HOST');
+    const transferredPromise = waitForMessage(roleViewer, 'HOST_CHANGED');
+    roleHost.send(JSON.stringify({ type: 'TRANSFER_HOST', roomId: roleRoomId, userId: 'rviewer' }));
+    const transferred = await transferredPromise;
+    assert.strictEqual(transferred.hostId, 'rviewer');
+    assert.strictEqual(roleOf(transferred.users, 'rviewer'), 'host');
+    assert.strictEqual(roleOf(transferred.users, 'rhost'), 'cohost', 'Previous host should become co-host');
+
+    const transferError = await sendAndWait(roleHost, { type: 'TRANSFER_HOST', roomId: roleRoomId, userId: 'rhost' }, 'ERROR');
+    assert.ok(transferError.error, 'Former host can no longer transfer host status');
+    console.log('✓ Host can transfer host status and stays on as co-host');
+    passed++;
+
+    roleHost.close();
+    roleViewer.close();
+
+    // Test 27: Host-only playback control mode
+    console.log('\nTest 27: Host-only playback control');
+    const { ws: ctrlHost } = await createClient();
+    const { ws: ctrlCohost } = await createClient();
+    const { ws: ctrlViewer } = await createClient();
+    const ctrlRoomId = 'CTRL01';
+    const ctrlHostJoin = await sendAndWait(ctrlHost, { type: 'JOIN_ROOM', roomId: ctrlRoomId, userId: 'chost' }, 'ROOM_JOINED');
+    assert.strictEqual(ctrlHostJoin.settings.hostOnlyControl, false, 'Host-only control should be off by default');
+    await sendAndWait(ctrlCohost, { type: 'JOIN_ROOM', roomId: ctrlRoomId, userId: 'ccohost' }, 'ROOM_JOINED');
+    await sendAndWait(ctrlViewer, { type: 'JOIN_ROOM', roomId: ctrlRoomId, userId: 'cviewer' }, 'ROOM_JOINED');
+    await sendAndWait(ctrlHost, { type: 'SET_ROLE', roomId: ctrlRoomId, userId: 'ccohost', role: 'cohost' }, 'ROLE_CHANGED');
+
+    // Only the host can change settings
+    const settingsError = await sendAndWait(ctrlViewer, {
+      type: 'UPDATE_ROOM_SETTINGS', roomId: ctrlRoomId, settings: { hostOnlyControl: true }
+    }, 'ERROR');
+    assert.ok(settingsError.error, 'Viewer should not change room settings');
+
+    const settingsUpdate = await sendAndWait(ctrlHost, {
+      type: 'UPDATE_ROOM_SETTINGS', roomId: ctrlRoomId, settings: { hostOnlyControl: true }
+    }, 'ROOM_SETTINGS_UPDATED');
+    assert.strictEqual(settingsUpdate.settings.hostOnlyControl, true);
+
+    // Host sets a known state
+    ctrlHost.send(JSON.stringify({
+      type: 'VIDEO_EVENT', roomId: ctrlRoomId,
+      event: { eventType: 'pause', currentTime: 30, timestamp: Date.now() }
+    }));
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    // Viewer's change is dropped and answered with a typed error carrying the room state
+    let viewerEventRelayed = false;
+    const viewerRelayCheck = waitForMessage(ctrlHost, 'VIDEO_EVENT', 300)
+      .then(() => { viewerEventRelayed = true; })
+      .catch(() => {});
+    const deniedError = await sendAndWait(ctrlViewer, {
+      type: 'VIDEO_EVENT', roomId: ctrlRoomId,
+      event: { eventType: 'play', currentTime: 90, playbackRate: 1, timestamp: Date.now() }
+    }, 'ERROR');
+    await viewerRelayCheck;
+    assert.strictEqual(deniedError.code, 'PLAYBACK_CONTROL_DENIED');
+    assert.strictEqual(deniedError.roomState.currentTime, 30, 'Error should carry the room state to snap back to');
+    assert.strictEqual(deniedError.roomState.paused, true);
+    assert.strictEqual(viewerEventRelayed, false, 'Viewer event should not be relayed');
+
+    const syncDenied = await sendAndWait(ctrlViewer, {
+      type: 'SYNC_VIDEO_STATE', roomId: ctrlRoomId,
+      state: { currentTime: 90, paused: false, playbackRate: 1, timestamp: Date.now() }
+    }, 'ERROR');
+    assert.strictEqual(syncDenied.code, 'PLAYBACK_CONTROL_DENIED');
+
+    // Co-hosts can still control playback
+    const cohostEventPromise = waitForMessage(ctrlViewer, 'VIDEO_EVENT');
+    ctrlCohost.send(JSON.stringify({
+      type: 'VIDEO_EVENT', roomId: ctrlRoomId,
+      event: { eventType: 'play', currentTime: 31, playbackRate: 1, timestamp: Date.now() }
+    }));
+    const cohostEvent = await cohostEventPromise;
+    assert.strictEqual(cohostEvent.event.currentTime, 31);
+    console.log('✓ Viewers cannot control playback in host-only mode; host and co-hosts can');
+    passed++;
+
+    ctrlHost.close();
+    ctrlCohost.close();
+    ctrlViewer.close();
+
+    // Test 28: Relayed messages are only accepted from room members
+    console.log('\nTest 28: Room membership enforcement');
+    const { ws: memberHost } = await createClient();
+    const { ws: outsider } = await createClient();
+    const { ws: otherRoomClient } = await createClient();
+    const memberRoomId = 'MEMBER1';
+    await sendAndWait(memberHost, { type: 'JOIN_ROOM', roomId: memberRoomId, userId: 'mhost' }, 'ROOM_JOINED');
+    await sendAndWait(otherRoomClient, { type: 'JOIN_ROOM', roomId: 'MEMBER2', userId: 'mother' }, 'ROOM_JOINED');
+
+    let injectedMessageRelayed = false;
+    const injectionCheck = Promise.all(['VIDEO_EVENT', 'SYNC_VIDEO_STATE', 'HOST_URL_UPDATED'].map((type) =>
+      waitForMessage(memberHost, type, 300)
+        .then(() => { injectedMessageRelayed = true; })
+        .catch(() => {})
+    ));
+
+    // A socket that never joined
+    const outsiderError = await sendAndWait(outsider, {
+      type: 'VIDEO_EVENT', roomId: memberRoomId,
+      event: { eventType: 'play', currentTime: 10, timestamp: Date.now() }
+    }, 'ERROR');
+    assert.strictEqual(outsiderError.code, 'NOT_IN_ROOM');
+    assert.strictEqual(outsiderError.roomId, memberRoomId);
+
+    // A member of a different room naming this one
+    const syncError = await sendAndWait(otherRoomClient, {
+      type: 'SYNC_VIDEO_STATE', roomId: memberRoomId,
+      state: { currentTime: 10, paused: false, playbackRate: 1, timestamp: Date.now() }
+    }, 'ERROR');
+    assert.strictEqual(syncError.code, 'NOT_IN_ROOM');
+
+    const urlError = await sendAndWait(otherRoomClient, {
+      type: 'UPDATE_HOST_URL', roomId: memberRoomId, url: 'https://example.com/video'
+    }, 'ERROR');
+    assert.strictEqual(urlError.code, 'NOT_IN_ROOM');
+
+    const stateError = await sendAndWait(outsider, { type: 'GET_ROOM_STATE', roomId: memberRoomId }, 'ERROR');
+    assert.strictEqual(stateError.code, 'NOT_IN_ROOM');
+
+    // Leaving a room the sender isn't in must not announce a departure to it
+    let fakeLeaveRelayed = false;
+    const fakeLeaveCheck = waitForMessage(memberHost, 'PEER_LEFT', 300)
+      .then(() => { fakeLeaveRelayed = true; })
+      .catch(() => {});
+    const leaveError = await sendAndWait(otherRoomClient, { type: 'LEAVE_ROOM', roomId: memberRoomId }, 'ERROR');
+    assert.strictEqual(leaveError.code, 'NOT_IN_ROOM');
+    await fakeLeaveCheck;
+    assert.strictEqual(fakeLeaveRelayed, false, 'LEAVE_ROOM from a non-member should not broadcast PEER_LEFT');
+
+    await injectionCheck;
+    assert.strictEqual(injectedMessageRelayed, false, 'Messages from non-members should not be relayed');
+    assert.ok(!roomStates.has(memberRoomId), 'Messages from non-members should not change the room state');
+    console.log('✓ Messages naming a room the sender is not in are rejected with NOT_IN_ROOM');
+    passed++;
+
+    memberHost.close();
+    outsider.close();
+    otherRoomClient.close();
+
+    // Test 29: Password-protected rooms
+    console.log('\nTest 29: Password-protected rooms');
+    const { ws: pwHost } = await createClient();
+    const { ws: pwGuest } = await createClient();
+    const { ws: openHost } = await createClient();
+    const pwRoomId = 'SECRET1';
+    const pwHostJoin = await sendAndWait(pwHost, {
+      type: 'JOIN_ROOM', roomId: pwRoomId, userId: 'pwhost', password: 'hunter2'
+    }, 'ROOM_JOINED');
+    assert.strictEqual(pwHostJoin.passwordProtected, true);
+    const storedPassword = roomPasswords.get(pwRoomId);
+    assert.ok(storedPassword.salt && storedPassword.hash, 'Password should be stored as a salted hash');
+    assert.ok(!JSON.stringify(storedPassword).includes('hunter2'), 'Password should not be stored in plain text');
+
+    const missingPassword = await sendAndWait(pwGuest, { type: 'JOIN_ROOM', roomId: pwRoomId, userId: 'pwguest' }, 'ERROR');
+    assert.strictEqual(missingPassword.code, 'AUTH_REQUIRED');
+    assert.strictEqual(missingPassword.roomId, pwRoomId);
+
+    const wrongPassword = await sendAndWait(pwGuest, {
+      type: 'JOIN_ROOM', roomId: pwRoomId, userId: 'pwguest', password: 'hunter3'
+    }, 'ERROR');
+    assert.strictEqual(wrongPassword.code, 'AUTH_FAILED');
+
+    const pwPeerJoined = waitForMessage(pwHost, 'PEER_JOINED');
+    const pwGuestJoin = await sendAndWait(pwGuest, {
+      type: 'JOIN_ROOM', roomId: pwRoomId, userId: 'pwguest', password: 'hunter2'
+    }, 'ROOM_JOINED');
+    assert.strictEqual(pwGuestJoin.peerCount, 2, 'Rejected attempts should not have added the guest');
+    assert.strictEqual((await pwPeerJoined).peerCount, 2);
+
+    // Rooms created without a password stay open
+    const openJoin = await sendAndWait(openHost, { type: 'JOIN_ROOM', roomId: 'OPEN01' }, 'ROOM_JOINED');
+    assert.strictEqual(openJoin.passwordProtected, false);
+    console.log('✓ Protected rooms require the correct password and store only a salted hash');
+    passed++;
+
+    pwHost.close();
+    pwGuest.close();
+    openHost.close();
+
+    // Test 30: Knock-to-join lobby rooms
+    console.log('\nTest 30: Lobby rooms with host approval');
+    const { ws: lobbyHost } = await createClient();
+    const { ws: knocker } = await createClient();
+    const { ws: lateKnocker } = await createClient();
+    const lobbyRoomId = 'LOBBY1';
+    await sendAndWait(lobbyHost, { type: 'JOIN_ROOM', roomId: lobbyRoomId, userId: 'lhost' }, 'ROOM_JOINED');
+    const lobbySettings = await sendAndWait(lobbyHost, {
+      type: 'UPDATE_ROOM_SETTINGS', roomId: lobbyRoomId, settings: { lobby: true }
+    }, 'ROOM_SETTINGS_UPDATED');
+    assert.strictEqual(lobbySettings.settings.lobby, true);
+
+    // Knocking puts the client in a pending state and asks the host
+    const firstRequestPromise = waitForMessage(lobbyHost, 'JOIN_REQUEST');
+    await sendAndWait(knocker, { type: 'JOIN_ROOM', roomId: lobbyRoomId, userId: 'knock1', username: 'Knocker' }, 'JOIN_PENDING');
+    const firstRequest = await firstRequestPromise;
+    assert.strictEqual(firstRequest.username, 'Knocker');
+    assert.ok(firstRequest.requestId, 'Join request should have an ID');
+
+    // Pending clients don't receive room traffic
+    let pendingReceivedEvent = false;
+    const pendingEventCheck = waitForMessage(knocker, 'VIDEO_EVENT', 300)
+      .then(() => { pendingReceivedEvent = true; })
+      .catch(() => {});
+    lobbyHost.send(JSON.stringify({
+      type: 'VIDEO_EVENT', roomId: lobbyRoomId,
+      event: { eventType: 'play', currentTime: 5, playbackRate: 1, timestamp: Date.now() }
+    }));
+    await pendingEventCheck;
+    assert.strictEqual(pendingReceivedEvent, false, 'Pending client should not receive video events');
+
+    // A denied client gets a typed error
+    const deniedPromise = waitForMessage(knocker, 'ERROR');
+    lobbyHost.send(JSON.stringify({
+      type: 'RESPOND_JOIN_REQUEST', roomId: lobbyRoomId, requestId: firstRequest.requestId, approved: false
+    }));
+    assert.strictEqual((await deniedPromise).code, 'JOIN_DENIED');
+
+    // An approved client joins as a viewer
+    const secondRequestPromise = waitForMessage(lobbyHost, 'JOIN_REQUEST');
+    await sendAndWait(knocker, { type: 'JOIN_ROOM', roomId: lobbyRoomId, userId: 'knock1', username: 'Knocker' }, 'JOIN_PENDING');
+    const secondRequest = await secondRequestPromise;
+    const approvedPeerJoined = waitForMessage(lobbyHost, 'PEER_JOINED');
+    const approvedJoinPromise = waitForMessage(knocker, 'ROOM_JOINED');
+    lobbyHost.send(JSON.stringify({
+      type: 'RESPOND_JOIN_REQUEST', roomId: lobbyRoomId, requestId: secondRequest.requestId, approved: true
+    }));
+    const approvedJoin = await approvedJoinPromise;
+    assert.strictEqual(approvedJoin.peerCount, 2);
+    assert.strictEqual(approvedJoin.role, 'viewer');
+    assert.strictEqual((await approvedPeerJoined).peerCount, 2);
+
+    // Only the host answers join requests
+    const viewerAnswer = await sendAndWait(knocker, {
+      type: 'RESPOND_JOIN_REQUEST', roomId: lobbyRoomId, requestId: secondRequest.requestId, approved: true
+    }, 'ERROR');
+    assert.ok(viewerAnswer.error, 'Viewer should not answer join requests');
+
+    // Unanswered requests time out and are withdrawn from the host
+    const lateRequestPromise = waitForMessage(lobbyHost, 'JOIN_REQUEST');
+    await sendAndWait(lateKnocker, { type: 'JOIN_ROOM', roomId: lobbyRoomId, userId: 'knock2' }, 'JOIN_PENDING');
+    const lateRequest = await lateRequestPromise;
+    const lateCancelled = waitForMessage(lobbyHost, 'JOIN_REQUEST_CANCELLED');
+    const timedOut = await waitForMessage(lateKnocker, 'ERROR');
+    assert.strictEqual(timedOut.code, 'JOIN_REQUEST_TIMED_OUT');
+    assert.strictEqual((await lateCancelled).requestId, lateRequest.requestId);
+    console.log('✓ Lobby rooms admit only clients the host approves');
+    passed++;
+
+    lobbyHost.close();
+    knocker.close();
+    lateKnocker.close();
+
+    // Test 31: Kicking and banning participants
+    console.log('\nTest 31: KICK_USER and BAN_USER');
+    const { ws: modHost } = await createClient();
+    const { ws: troll } = await createClient();
+    const { ws: bystander } = await createClient();
+    const modRoomId = 'MOD001';
+    await sendAndWait(modHost, { type: 'JOIN_ROOM', roomId: modRoomId, userId: 'modhost' }, 'ROOM_JOINED');
+    await sendAndWait(troll, { type: 'JOIN_ROOM', roomId: modRoomId, userId: 'troll' }, 'ROOM_JOINED');
+    await sendAndWait(bystander, { type: 'JOIN_ROOM', roomId: modRoomId, userId: 'bystander' }, 'ROOM_JOINED');
+
+    // Only the host can remove users
+    const viewerKick = await sendAndWait(bystander, { type: 'KICK_USER', roomId: modRoomId, userId: 'troll' }, 'ERROR');
+    assert.ok(viewerKick.error, 'Viewer should not kick users');
+
+    // A kicked user is told and removed, but may rejoin
+    const kickedLeft = waitForMessage(modHost, 'PEER_LEFT');
+    const kickedPromise = waitForMessage(troll, 'KICKED');
+    modHost.send(JSON.stringify({ type: 'KICK_USER', roomId: modRoomId, userId: 'troll' }));
+    const kicked = await kickedPromise;
+    assert.strictEqual(kicked.banned, false);
+    assert.strictEqual((await kickedLeft).peerCount, 2);
+    await sendAndWait(troll, { type: 'JOIN_ROOM', roomId: modRoomId, userId: 'troll' }, 'ROOM_JOINED');
+
+    // A banned user can't rejoin with the same user ID
+    const bannedPromise = waitForMessage(troll, 'KICKED');
+    modHost.send(JSON.stringify({ type: 'BAN_USER', roomId: modRoomId, userId: 'troll' }));
+    const banned = await bannedPromise;
+    assert.strictEqual(banned.banned, true);
+    const bannedRejoin = await sendAndWait(troll, { type: 'JOIN_ROOM', roomId: modRoomId, userId: 'troll' }, 'ERROR');
+    assert.strictEqual(bannedRejoin.code, 'BANNED');
+    const freshIdJoin = await sendAndWait(troll, { type: 'JOIN_ROOM', roomId: modRoomId, userId: 'troll2' }, 'ROOM_JOINED');
+    assert.strictEqual(freshIdJoin.peerCount, 3, 'A user ID ban alone should not block other IDs');
+
+    // An address ban also blocks new user IDs from the same address
+    const addressBannedPromise = waitForMessage(troll, 'KICKED');
+    modHost.send(JSON.stringify({ type: 'BAN_USER', roomId: modRoomId, userId: 'troll2', banAddress: true }));
+    await addressBannedPromise;
+    const addressBanned = await sendAndWait(troll, { type: 'JOIN_ROOM', roomId: modRoomId, userId: 'troll3' }, 'ERROR');
+    assert.strictEqual(addressBanned.code, 'BANNED');
+    console.log('✓ Hosts can kick users and ban them by user ID and address');
+    passed++;
+
+    // Bans last for the life of the room
+    modHost.close();
+    bystander.close();
+    // Wait out the reconnect grace period so the room is really deleted
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const reopened = await sendAndWait(troll, { type: 'JOIN_ROOM', roomId: modRoomId, userId: 'troll' }, 'ROOM_JOINED');
+    assert.strictEqual(reopened.isHost, true);
+    console.log('✓ Bans are dropped when the room is deleted');
+    passed++;
+
+    troll.close();
+
+    // Test 32: Unresponsive connections are reaped
+    console.log('\nTest 32: Dead connection reaping');
+    const { ws: liveHost } = await createClient();
+    const ghostRoomId = 'GHOST1';
+    await sendAndWait(liveHost, { type: 'JOIN_ROOM', roomId: ghostRoomId, userId: 'live' }, 'ROOM_JOINED');
+
+    // A client that never answers pings, like a half-open connection
+    const ghost = new WebSocket(WS_URL, { autoPong: false });
+    await waitForMessage(ghost, 'CONNECTED');
+    await sendAndWait(ghost, { type: 'JOIN_ROOM', roomId: ghostRoomId, userId: 'ghost' }, 'ROOM_JOINED');
+
+    const ghostLeft = await waitForMessage(liveHost, 'PEER_LEFT', 3000);
+    assert.strictEqual(ghostLeft.peerCount, 1);
+    assert.deepStrictEqual(ghostLeft.users.map(user => user.id), ['live'], 'Ghost should be removed from the users list');
+    assert.strictEqual(liveHost.readyState, WebSocket.OPEN, 'Responsive clients should stay connected');
+    console.log('✓ Sockets that stop answering pings are terminated and leave their room');
+    passed++;
+
+    liveHost.close();
+
+    // Test 33: Resuming a dropped connection
+    console.log('\nTest 33: Session resume tokens');
+    const { ws: resumeHost } = await createClient();
+    const { ws: resumeGuest } = await createClient();
+    const resumeRoomId = 'RESUME1';
+    const resumeHostJoin = await sendAndWait(resumeHost, { type: 'JOIN_ROOM', roomId: resumeRoomId, userId: 'rhost' }, 'ROOM_JOINED');
+    assert.ok(resumeHostJoin.resumeToken, 'ROOM_JOINED should include a resume token');
+    await sendAndWait(resumeGuest, { type: 'JOIN_ROOM', roomId: resumeRoomId, userId: 'rguest' }, 'ROOM_JOINED');
+
+    // The host's connection drops; within the grace period nobody sees them leave
+    let sawHostLeave = false;
+    const leaveCheck = Promise.all(['PEER_LEFT', 'HOST_CHANGED', 'PEER_JOINED'].map((type) =>
+      waitForMessage(resumeGuest, type, 250)
+        .then(() => { sawHostLeave = true; })
+        .catch(() => {})
+    ));
+    resumeHost.terminate();
+    const { ws: resumedHost } = await createClient();
+    const usersUpdate = waitForMessage(resumeGuest, 'USERS_UPDATE');
+    const resumedJoin = await sendAndWait(resumedHost, {
+      type: 'JOIN_ROOM', roomId: resumeRoomId, userId: 'new-id', resumeToken: resumeHostJoin.resumeToken
+    }, 'ROOM_JOINED');
+    await leaveCheck;
+    assert.strictEqual(sawHostLeave, false, 'Others should not see the host leave and rejoin');
+    assert.strictEqual(resumedJoin.isHost, true, 'Host status should survive the reconnect');
+    assert.strictEqual(resumedJoin.peerCount, 2);
+    assert.deepStrictEqual((await usersUpdate).users.map(user => user.id), ['rguest', 'rhost']);
+
+    // Relaying works on the new connection
+    const resumedEvent = waitForMessage(resumeGuest, 'VIDEO_EVENT');
+    resumedHost.send(JSON.stringify({
+      type: 'VIDEO_EVENT', roomId: resumeRoomId,
+      event: { eventType: 'pause', currentTime: 12, timestamp: Date.now() }
+    }));
+    assert.strictEqual((await resumedEvent).event.currentTime, 12);
+
+    // A token is useless after leaving for good
+    const { ws: tokenThief } = await createClient();
+    await sendAndWait(resumedHost, { type: 'LEAVE_ROOM', roomId: resumeRoomId }, 'ROOM_LEFT');
+    const staleTokenJoin = await sendAndWait(tokenThief, {
+      type: 'JOIN_ROOM', roomId: resumeRoomId, userId: 'thief', resumeToken: resumeHostJoin.resumeToken
+    }, 'ROOM_JOINED');
+    assert.strictEqual(staleTokenJoin.role, 'viewer', 'A stale token should only give a normal join');
+    console.log('✓ Dropped members resume their place and host status with their token');
+    passed++;
+
+    resumedHost.close();
+    resumeGuest.close();
+    tokenThief.close();
+
+    // Test 34: One connection in several rooms
+    console.log('\nTest 34: Multiple rooms per connection');
+    const { ws: multiClient } = await createClient();
+    const { ws: movieGuest } = await createClient();
+    const { ws: demoGuest } = await createClient();
+    const movieJoin = await sendAndWait(multiClient, { type: 'JOIN_ROOM', roomId: 'MOVIE1', userId: 'me-movie' }, 'ROOM_JOINED');
+    const demoJoin = await sendAndWait(multiClient, { type: 'JOIN_ROOM', roomId: 'DEMO1', userId: 'me-demo' }, 'ROOM_JOINED');
+    assert.strictEqual(movieJoin.isHost, true);
+    assert.strictEqual(demoJoin.isHost, true, 'Joining a second room should not leave the first');
+    assert.notStrictEqual(movieJoin.resumeToken, demoJoin.resumeToken);
+    await sendAndWait(movieGuest, { type: 'JOIN_ROOM', roomId: 'MOVIE1', userId: 'movie-guest' }, 'ROOM_JOINED');
+    await sendAndWait(demoGuest, { type: 'JOIN_ROOM', roomId: 'DEMO1', userId: 'demo-guest' }, 'ROOM_JOINED');
+
+    // Events are relayed only to the room they name, tagged with that room
+    const movieEvent = waitForMessage(multiClient, 'VIDEO_EVENT');
+    let demoGuestSawMovie = false;
+    const demoGuestCheck = waitForMessage(demoGuest, 'VIDEO_EVENT', 250)
+      .then(() => { demoGuestSawMovie = true; })
+      .catch(() => {});
+    movieGuest.send(JSON.stringify({
+      type: 'VIDEO_EVENT', roomId: 'MOVIE1',
+      event: { eventType: 'play', currentTime: 30, timestamp: Date.now() }
+    }));
+    assert.strictEqual((await movieEvent).roomId, 'MOVIE1', 'Relayed messages should name their room');
+    await demoGuestCheck;
+    assert.strictEqual(demoGuestSawMovie, false, 'Other rooms should not see the event');
+
+    // Leaving one room keeps the other membership
+    const demoUsers = waitForMessage(demoGuest, 'PEER_LEFT', 250).catch(() => null);
+    const movieLeft = waitForMessage(movieGuest, 'PEER_LEFT');
+    await sendAndWait(multiClient, { type: 'LEAVE_ROOM', roomId: 'MOVIE1' }, 'ROOM_LEFT');
+    assert.strictEqual((await movieLeft).roomId, 'MOVIE1');
+    assert.strictEqual(await demoUsers, null, 'Leaving one room should not affect the other');
+    const demoState = await sendAndWait(multiClient, { type: 'GET_ROOM_STATE', roomId: 'DEMO1' }, 'ROOM_STATE');
+    assert.strictEqual(demoState.roomId, 'DEMO1', 'The connection should still be in the other room');
+    console.log('✓ A connection can be in several rooms with separate memberships');
+    passed++;
+
+    multiClient.close();
+    movieGuest.close();
+    demoGuest.close();
+
+    // Test 35: Server version for connection tests
+    console.log('\nTest 35: Server version in handshake and health check');
+    const { ws: versionClient, connectedMsg: versionConnected } = await createClient();
+    assert.strictEqual(versionConnected.version, SERVER_VERSION, 'CONNECTED should report the server version');
+    const versionHealth = await new Promise((resolve, reject) => {
+      http.get(`${HTTP_URL}/health`, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(e);
+          }
+        });
+      }).on('error', reject);
+    });
+    assert.strictEqual(versionHealth.version, SERVER_VERSION, 'The health check should report the server version');
+    console.log('✓ The server reports its version on connect and in the health check');
+    passed++;
+
+    versionClient.close();
+
+    // Test 36: Invite landing page
+    console.log('\nTest 36: Invite landing page');
+    const joinPage = await new Promise((resolve, reject) => {
+      http.get(`${HTTP_URL}/join`, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, contentType: res.headers['content-type'], body: data }));
+      }).on('error', reject);
+    });
+    assert.strictEqual(joinPage.statusCode, 200);
+    assert.ok(joinPage.contentType.startsWith('text/html'), 'The invite page should be HTML');
+    assert.ok(joinPage.body.includes('Sync Player'), 'The invite page should explain what the link is');
+    console.log('✓ Invite links open a landing page on the server');
+    passed++;
+
+    // Test 37: Signed invite tokens
+    console.log('\nTest 37: Signed invite tokens');
+    const { ws: inviteHost } = await createClient();
+    const { ws: inviteGuest } = await createClient();
+    const { ws: inviteLateGuest } = await createClient();
+    const inviteRoomId = 'INVITE1';
+    await sendAndWait(inviteHost, {
+      type: 'JOIN_ROOM', roomId: inviteRoomId, userId: 'invitehost', password: 'letmein'
+    }, 'ROOM_JOINED');
+    await sendAndWait(inviteHost, {
+      type: 'UPDATE_ROOM_SETTINGS', roomId: inviteRoomId, settings: { lobby: true }
+    }, 'ROOM_SETTINGS_UPDATED');
+
+    const created = await sendAndWait(inviteHost, {
+      type: 'CREATE_INVITE', roomId: inviteRoomId, role: 'cohost', maxUses: 1, expiresInMs: 60000
+    }, 'INVITE_CREATED');
+    assert.strictEqual(created.invite.role, 'cohost');
+    assert.strictEqual(created.invite.maxUses, 1);
+    assert.ok(created.invite.expiresAt > Date.now(), 'The invite should expire in the future');
+
+    // The token stands in for the password and the lobby, and grants the invite's role
+    const invitedJoin = await sendAndWait(inviteGuest, {
+      type: 'JOIN_ROOM', roomId: inviteRoomId, userId: 'invitee', inviteToken: created.invite.token
+    }, 'ROOM_JOINED');
+    assert.strictEqual(invitedJoin.role, 'cohost', 'The invite should grant its role');
+
+    const usedUp = await sendAndWait(inviteLateGuest, {
+      type: 'JOIN_ROOM', roomId: inviteRoomId, userId: 'late', inviteToken: created.invite.token
+    }, 'ERROR');
+    assert.strictEqual(usedUp.code, 'INVITE_INVALID', 'A used-up invite should be refused');
+
+    const [payload, signature] = created.invite.token.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({
+      ...JSON.parse(Buffer.from(payload, 'base64url').toString()), role: 'host'
+    })).toString('base64url');
+    const forged = await sendAndWait(inviteLateGuest, {
+      type: 'JOIN_ROOM', roomId: inviteRoomId, userId: 'late', inviteToken: `${forgedPayload}.${signature}`
+    }, 'ERROR');
+    assert.strictEqual(forged.code, 'INVITE_INVALID', 'A tampered token should be refused');
+
+    const revocable = await sendAndWait(inviteHost, { type: 'CREATE_INVITE', roomId: inviteRoomId }, 'INVITE_CREATED');
+    assert.strictEqual(revocable.invite.role, 'viewer', 'Invites should default to viewer');
+    assert.strictEqual(revocable.invite.maxUses, null, 'Invites should default to unlimited uses');
+    const listed = await sendAndWait(inviteHost, { type: 'LIST_INVITES', roomId: inviteRoomId }, 'INVITES_LIST');
+    assert.deepStrictEqual(listed.invites.map(invite => invite.uses), [1, 0]);
+    const revoked = await sendAndWait(inviteHost, {
+      type: 'REVOKE_INVITE', roomId: inviteRoomId, inviteId: revocable.invite.inviteId
+    }, 'INVITE_REVOKED');
+    assert.strictEqual(revoked.inviteId, revocable.invite.inviteId);
+    const revokedJoin = await sendAndWait(inviteLateGuest, {
+      type: 'JOIN_ROOM', roomId: inviteRoomId, userId: 'late', inviteToken: revocable.invite.token
+    }, 'ERROR');
+    assert.strictEqual(revokedJoin.code, 'INVITE_INVALID', 'A revoked invite should be refused');
+
+    const guestInvite = await sendAndWait(inviteGuest, { type: 'CREATE_INVITE', roomId: inviteRoomId }, 'ERROR');
+    assert.ok(guestInvite.error.includes('Only the host'), 'Only the host should create invites');
+    console.log('✓ Signed invites grant their role, expire with use and can be revoked');
+    passed++;
+
+    inviteHost.close();
+    inviteGuest.close();
+    inviteLateGuest.close();
+
+    // Test 38: Forwarded addresses can't be spoofed around an address ban
+    console.log('\nTest 38: X-Forwarded-For and address bans');
+    const BANNED_ADDRESS = '203.0.113.7';
+    const forwardedFrom = (header) => ({ headers: { 'X-Forwarded-For': header } });
+    const { ws: proxyHost } = await createClient();
+    const { ws: proxyTroll } = await createClient(forwardedFrom(BANNED_ADDRESS));
+    const proxyRoomId = 'PROXY1';
+    await sendAndWait(proxyHost, { type: 'JOIN_ROOM', roomId: proxyRoomId, userId: 'proxyhost' }, 'ROOM_JOINED');
+    await sendAndWait(proxyTroll, { type: 'JOIN_ROOM', roomId: proxyRoomId, userId: 'proxytroll' }, 'ROOM_JOINED');
+    const proxyBanned = waitForMessage(proxyTroll, 'KICKED');
+    proxyHost.send(JSON.stringify({ type: 'BAN_USER', roomId: proxyRoomId, userId: 'proxytroll', banAddress: true }));
+    await proxyBanned;
+
+    // The client made up the first entry, the proxy appended the real address
+    const { ws: spoofer } = await createClient(forwardedFrom(`198.51.100.1, ${BANNED_ADDRESS}`));
+    const spoofed = await sendAndWait(spoofer, { type: 'JOIN_ROOM', roomId: proxyRoomId, userId: 'spoofer' }, 'ERROR');
+    assert.strictEqual(spoofed.code, 'BANNED', 'A made-up first entry should not get around an address ban');
+
+    // Naming the banned address doesn't get someone else banned
+    const { ws: framed } = await createClient(forwardedFrom(`${BANNED_ADDRESS}, 198.51.100.2`));
+    await sendAndWait(framed, { type: 'JOIN_ROOM', roomId: proxyRoomId, userId: 'framed' }, 'ROOM_JOINED');
+    console.log('✓ Address bans use the address the trusted proxy added');
+    passed++;
+
+    proxyHost.close();
+    proxyTroll.close();
+    spoofer.close();
+    framed.close();
+
+    // Test 39: Wrong passwords back off
+    console.log('\nTest 39: Password attempt backoff');
+    const { ws: lockHost } = await createClient();
+    const { ws: guesser } = await createClient({ headers: { 'X-Forwarded-For': '198.51.100.50' } });
+    const { ws: neighbor } = await createClient({ headers: { 'X-Forwarded-For': '198.51.100.51' } });
+    const lockRoomId = 'LOCKED1';
+    await sendAndWait(lockHost, { type: 'JOIN_ROOM', roomId: lockRoomId, userId: 'lockhost', password: 'opensesame' }, 'ROOM_JOINED');
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      const guess = await sendAndWait(guesser, {
+        type: 'JOIN_ROOM', roomId: lockRoomId, userId: 'guesser', password: `guess${attempt}`
+      }, 'ERROR');
+      assert.strictEqual(guess.code, 'AUTH_FAILED', `Guess ${attempt} should be checked`);
+    }
+    // Even the right password has to wait once the backoff started
+    const throttled = await sendAndWait(guesser, {
+      type: 'JOIN_ROOM', roomId: lockRoomId, userId: 'guesser', password: 'opensesame'
+    }, 'ERROR');
+    assert.strictEqual(throttled.code, 'AUTH_RATE_LIMITED');
+    assert.ok(throttled.retryAfterMs > 0, 'The client should be told how long to wait');
+    const neighborJoin = await sendAndWait(neighbor, {
+      type: 'JOIN_ROOM', roomId: lockRoomId, userId: 'neighbor', password: 'opensesame'
+    }, 'ROOM_JOINED');
+    assert.strictEqual(neighborJoin.peerCount, 2, 'Other addresses should not be held back');
+    console.log('✓ Repeated wrong passwords from an address have to wait');
+    passed++;
+
+    lockHost.close();
+    guesser.close();
+    neighbor.close();
+
+    // Test 40: A host who closes cleanly is replaced right away
+    console.log('\nTest 40: Clean close hands over immediately');
+    const { ws: closingHost } = await createClient();
+    const { ws: stayingGuest } = await createClient();
+    const closingRoomId = 'CLOSE1';
+    await sendAndWait(closingHost, { type: 'JOIN_ROOM', roomId: closingRoomId, userId: 'chost' }, 'ROOM_JOINED');
+    await sendAndWait(stayingGuest, { type: 'JOIN_ROOM', roomId: closingRoomId, userId: 'cguest' }, 'ROOM_JOINED');
+    // Well inside the resume grace period, so the handover can't come from its expiry
+    const immediateHandover = waitForMessage(stayingGuest, 'HOST_CHANGED', 150);
+    closingHost.close(1000);
+    assert.strictEqual((await immediateHandover).hostId, 'cguest', 'The remaining member should become host');
+    console.log('✓ A cleanly closed host is not held for a resume');
+    passed++;
+
+    stayingGuest.close();
+
+    // Test 41: Going away is held, a suspended service worker closes its socket that way
+    console.log('\nTest 41: Going-away close is held for a resume');
+    const { ws: suspendedHost } = await createClient();
+    const { ws: waitingGuest } = await createClient();
+    const suspendedRoomId = 'AWAY1';
+    const suspendedJoin = await sendAndWait(suspendedHost, { type: 'JOIN_ROOM', roomId: suspendedRoomId, userId: 'ahost' }, 'ROOM_JOINED');
+    await sendAndWait(waitingGuest, { type: 'JOIN_ROOM', roomId: suspendedRoomId, userId: 'aguest' }, 'ROOM_JOINED');
+    let sawHandover = false;
+    const handoverCheck = waitForMessage(waitingGuest, 'HOST_CHANGED', 150)
+      .then(() => { sawHandover = true; })
+      .catch(() => {});
+    suspendedHost.close(1001);
+    await handoverCheck;
+    assert.strictEqual(sawHandover, false, 'A going-away host should keep the host role while held');
+    const { ws: wokenHost } = await createClient();
+    const wokenJoin = await sendAndWait(wokenHost, {
+      type: 'JOIN_ROOM', roomId: suspendedRoomId, userId: 'ahost', resumeToken: suspendedJoin.resumeToken
+    }, 'ROOM_JOINED');
+    assert.strictEqual(wokenJoin.isHost, true, 'The resumed host should still be host');
+    assert.strictEqual(wokenJoin.peerCount, 2);
+    console.log('✓ A host that went away resumes its place with its token');
+    passed++;
+
+    wokenHost.close();
+    waitingGuest.close();
+
+    // Test 42: Two clients create the same room at once
+    console.log('\nTest 42: Room created while a password is hashed');
+    const { ws: firstCreator } = await createClient();
+    const { ws: secondCreator } = await createClient();
+    const { ws: raceWitness } = await createClient();
+    const raceRoomId = 'RACE1';
+    /**
+     * Wait for a client's answer to its JOIN_ROOM, joined or refused
+     * @param {WebSocket} ws - The client
+     * @returns {Promise<object>} The ROOM_JOINED or ERROR message
+     */
+    const joinOutcome = (ws) => new Promise((resolve) => {
+      ws.on('message', function handler(data) {
+        const message = JSON.parse(data.toString());
+        if (message.type === 'ROOM_JOINED' || message.type === 'ERROR') {
+          ws.removeListener('message', handler);
+          resolve(message);
+        }
+      });
+    });
+    const outcomes = Promise.all([joinOutcome(firstCreator), joinOutcome(secondCreator)]);
+    // Both arrive before either hash is done, so both set out to create the room
+    firstCreator.send(JSON.stringify({ type: 'JOIN_ROOM', roomId: raceRoomId, userId: 'first', password: 'first-pass' }));
+    secondCreator.send(JSON.stringify({ type: 'JOIN_ROOM', roomId: raceRoomId, userId: 'second', password: 'second-pass' }));
+    const raceResults = await outcomes;
+    const joined = raceResults.filter(message => message.type === 'ROOM_JOINED');
+    const refused = raceResults.filter(message => message.type === 'ERROR');
+    assert.strictEqual(joined.length, 1, 'Exactly one creator should get the room');
+    assert.strictEqual(joined[0].isHost, true);
+    assert.strictEqual(joined[0].passwordProtected, true);
+    assert.strictEqual(refused.length, 1, 'The other creator should be told instead of joining');
+    assert.strictEqual(refused[0].code, 'ROOM_CREATED_MEANWHILE');
+    const winnerPassword = raceResults[0].type === 'ROOM_JOINED' ? 'first-pass' : 'second-pass';
+    const witnessJoin = await sendAndWait(raceWitness, {
+      type: 'JOIN_ROOM', roomId: raceRoomId, userId: 'witness', password: winnerPassword
+    }, 'ROOM_JOINED');
+    assert.strictEqual(witnessJoin.peerCount, 2, 'The refused creator should not be in the room');
+    console.log('✓ The creator who loses the race is refused, not joined to the other room');
+    passed++;
+
+    firstCreator.close();
+    secondCreator.close();
+    raceWitness.close();
+
     // Cleanup
     client1.close();
     client2.close();
@@ -0,0 +1,37 @@
+/**
+ * Page script for Sync Player Chrome extension.
+ * Runs in the page's own JavaScript world, where the page's attachShadow calls can be
+ * seen, and announces each new shadow root to video-discovery.js with a DOM event.
+ * Everything stays inside the function so nothing leaks into the page's globals.
+ *
+ * background.js injects it only into the frames of synced tabs. A page can still
+ * notice the patch there, e.g. from its source text, and see the event with its own
+ * listeners on the host's tree; the event doesn't bubble or cross shadow boundaries.
+ */
+
+(() => {
+  // Event dispatched on the shadow host (video-discovery.js listens for the same name)
+  const SHADOW_ROOT_ATTACHED_EVENT = 'sync-player-shadow-root-attached';
+  const attachShadow = Element.prototype.attachShadow;
+
+  // A method definition, like the native method, has no prototype and can't be called with new
+  const { attachShadow: patchedAttachShadow } = {
+    /**
+     * Attach a shadow root as usual, then tell the content script about it
+     * Hosts not in the document yet are found by the content script once they are added.
+     * @param {ShadowRootInit} init - The shadow root options
+     * @returns {ShadowRoot} The new shadow root
+     */
+    attachShadow(init) {
+      const shadowRoot = attachShadow.call(this, init);
+      if (this.isConnected) {
+        this.dispatchEvent(new CustomEvent(SHADOW_ROOT_ATTACHED_EVENT, { bubbles: false, composed: false }));
+      }
+      return shadowRoot;
+    }
+  };
+  Object.defineProperty(patchedAttachShadow, 'name', { value: attachShadow.name });
+  Object.defineProperty(patchedAttachShadow, 'length', { value: attachShadow.length });
+
+  Element.prototype.attachShadow = patchedAttachShadow;
+})();
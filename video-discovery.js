@@ -0,0 +1,115 @@
+/**
+ * Video discovery for Sync Player Chrome extension.
+ * Finds video elements in the page and inside the open shadow roots of web
+ * component players, and watches for videos being added, removed or replaced.
+ */
+
+// Event shadow-root-hook.js dispatches on a host when the page attaches a shadow root to it
+const SHADOW_ROOT_ATTACHED_EVENT = 'sync-player-shadow-root-attached';
+
+/**
+ * Visit the elements under a node, descending into open shadow roots
+ * @param {Node} root - The document, shadow root or element to search (included if an element)
+ * @param {function(Element): void} visitElement - Called for each element
+ * @param {function(ShadowRoot): void} [visitShadowRoot] - Called for each open shadow root
+ */
+function walkComposedTree(root, visitElement, visitShadowRoot = () => {}) {
+  const pending = [root];
+  while (pending.length > 0) {
+    const node = pending.pop();
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+    let element = node.nodeType === Node.ELEMENT_NODE ? node : walker.nextNode();
+    while (element) {
+      visitElement(element);
+      if (element.shadowRoot) {
+        visitShadowRoot(element.shadowRoot);
+        pending.push(element.shadowRoot);
+      }
+      element = walker.nextNode();
+    }
+  }
+}
+
+/**
+ * Find every video element under a node, including those in open shadow roots
+ * @param {Node} root - The document, shadow root or element to search
+ * @returns {HTMLVideoElement[]} The video elements
+ */
+function findVideosDeep(root = document) {
+  const videos = [];
+  walkComposedTree(root, (element) => {
+    if (element instanceof HTMLVideoElement) {
+      videos.push(element);
+    }
+  });
+  return videos;
+}
+
+/**
+ * Watch the page and its open shadow roots for videos being added or removed
+ * Shadow roots are watched as they are found in added elements, or attached to
+ * elements already in the page (reported by shadow-root-hook.js). The report
+ * doesn't bubble or leave the host's tree, so it is caught in the capture phase
+ * on the document and on each watched shadow root.
+ * @param {function(): void} onChange - Called after videos were added or removed
+ */
+function watchForVideos(onChange) {
+  // Roots already observed, a root is observed once however it was found
+  const observedRoots = new WeakSet();
+
+  const observer = new MutationObserver((mutations) => {
+    let videosChanged = false;
+    mutations.forEach((mutation) => {
+      mutation.addedNodes.forEach((node) => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        walkComposedTree(node, (element) => {
+          if (element instanceof HTMLVideoElement) {
+            videosChanged = true;
+          }
+        }, observeRoot);
+      });
+      mutation.removedNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE && findVideosDeep(node).length > 0) {
+          videosChanged = true;
+        }
+      });
+    });
+
+    if (videosChanged) {
+      onChange();
+    }
+  });
+
+  /**
+   * Watch a shadow root attached to an element already in the page
+   * @param {Event} event - The event from shadow-root-hook.js, targeted at the host
+   */
+  function handleShadowRootAttached(event) {
+    const host = event.target;
+    if (!host.shadowRoot) return;
+
+    observeRoot(host.shadowRoot);
+    if (findVideosDeep(host.shadowRoot).length > 0) {
+      onChange();
+    }
+  }
+
+  /**
+   * Start observing a document or shadow root
+   * @param {Node} root - The root to observe
+   */
+  function observeRoot(root) {
+    if (observedRoots.has(root)) return;
+    observedRoots.add(root);
+    observer.observe(root, { childList: true, subtree: true });
+    if (root instanceof ShadowRoot) {
+      root.addEventListener(SHADOW_ROOT_ATTACHED_EVENT, handleShadowRootAttached, true);
+    }
+  }
+
+  // Observe document.documentElement as fallback if body is not available
+  observeRoot(document.body || document.documentElement);
+  walkComposedTree(document, () => {}, observeRoot);
+
+  document.addEventListener(SHADOW_ROOT_ATTACHED_EVENT, handleShadowRootAttached, true);
+}
@@ -0,0 +1,45 @@
+/**
+ * Video lifecycle tracking for Sync Player Chrome extension.
+ * Follows the monitored video element through source changes, which single-page
+ * players do without adding a new <video> to the page.
+ */
+
+/**
+ * Track a video element until the returned function is called
+ * Removal isn't tracked here: the monitored video is always one video-discovery.js
+ * found, so watchForVideos observes the tree it is removed from.
+ * @param {HTMLVideoElement} video - The video element
+ * @param {object} handlers - Callbacks for lifecycle changes
+ * @param {function(): void} handlers.onMediaChanged - Called when the video starts loading new media
+ * @returns {function(): void} Stops tracking
+ */
+function trackVideoLifecycle(video, { onMediaChanged }) {
+  // A source change on a loaded video fires emptied then loadstart, only the first is reported
+  let emptiedReported = false;
+
+  const handleEmptied = () => {
+    emptiedReported = true;
+    onMediaChanged();
+  };
+
+  const handleLoadStart = () => {
+    if (emptiedReported) {
+      emptiedReported = false;
+      return;
+    }
+    onMediaChanged();
+  };
+
+  video.addEventListener('emptied', handleEmptied);
+  video.addEventListener('loadstart', handleLoadStart);
+
+  /**
+   * Stop tracking the video
+   */
+  function stop() {
+    video.removeEventListener('emptied', handleEmptied);
+    video.removeEventListener('loadstart', handleLoadStart);
+  }
+
+  return stop;
+}
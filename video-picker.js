@@ -0,0 +1,266 @@
+/**
+ * Video picker for Sync Player Chrome extension.
+ * Numbers each video in the frame with an overlay so the user can click the one
+ * to sync, and remembers the choice per site so it is picked again on reload.
+ */
+
+// Overlays covering the videos while the picker is shown, one per video
+let pickerOverlays = [];
+// Banner explaining the picker, shown in the top frame only
+let pickerBanner = null;
+// Animation frame that keeps the overlays over their videos as the page scrolls
+let pickerFrameRequest = null;
+// Escape key handler active while the picker is shown
+let pickerKeyHandler = null;
+// Key in chrome.storage.local holding the chosen videos by site
+const CHOSEN_VIDEOS_STORAGE_KEY = 'chosenVideos';
+// Sites whose choice is kept, the least recently chosen are forgotten first
+const MAX_CHOSEN_VIDEO_SITES = 100;
+// Above anything the page itself puts over its player
+const PICKER_Z_INDEX = 2147483647;
+
+/**
+ * Show a numbered overlay over each video until one is picked or the picker is closed
+ * @param {HTMLVideoElement[]} videos - The videos to number
+ * @param {number} firstNumber - Number of the first video, frames are numbered one after another
+ * @param {object} handlers - Callbacks for the user's choice
+ * @param {function(HTMLVideoElement): void} handlers.onPick - Called with the clicked video
+ * @param {function(): void} handlers.onCancel - Called when the user presses Escape
+ */
+function showVideoPicker(videos, firstNumber, { onPick, onCancel }) {
+  hideVideoPicker();
+
+  pickerOverlays = videos.map((video, index) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'sync-player-picker-overlay';
+    overlay.style.cssText = `
+      position: fixed;
+      box-sizing: border-box;
+      border: 3px solid #667eea;
+      background: rgba(102, 126, 234, 0.35);
+      color: white;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 6px;
+      cursor: pointer;
+      z-index: ${PICKER_Z_INDEX};
+    `;
+    overlay.innerHTML = `
+      <div style="
+        font-size: 48px;
+        font-weight: 700;
+        line-height: 1;
+        text-shadow: 0 2px 8px rgba(0, 0, 0, 0.6);
+      "></div>
+      <div style="
+        font-size: 13px;
+        background: rgba(0, 0, 0, 0.7);
+        padding: 4px 10px;
+        border-radius: 4px;
+      ">Click to sync this video</div>
+    `;
+    overlay.firstElementChild.textContent = String(firstNumber + index);
+
+    overlay.addEventListener('click', (event) => {
+      // Keep the click away from the player underneath
+      event.preventDefault();
+      event.stopPropagation();
+      onPick(video);
+    });
+
+    document.documentElement.appendChild(overlay);
+    return { overlay, video };
+  });
+
+  if (window === window.top) {
+    pickerBanner = document.createElement('div');
+    pickerBanner.id = 'sync-player-picker-banner';
+    pickerBanner.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: rgba(0, 0, 0, 0.9);
+      color: white;
+      padding: 12px 20px;
+      border-radius: 8px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      z-index: ${PICKER_Z_INDEX};
+      box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
+    `;
+    pickerBanner.textContent = '🎯 Click the video to sync · Esc to cancel';
+    document.documentElement.appendChild(pickerBanner);
+  }
+
+  pickerKeyHandler = (event) => {
+    if (event.key === 'Escape') {
+      onCancel();
+    }
+  };
+  document.addEventListener('keydown', pickerKeyHandler, true);
+
+  positionPickerOverlays();
+  console.log(`Sync Player: Showing video picker for ${videos.length} video(s)`);
+}
+
+/**
+ * Move each overlay over its video, then again on the next frame while the picker is shown
+ */
+function positionPickerOverlays() {
+  pickerOverlays.forEach(({ overlay, video }) => {
+    const rect = video.getBoundingClientRect();
+    const visible = video.isConnected && rect.width > 0 && rect.height > 0;
+    overlay.style.display = visible ? 'flex' : 'none';
+    overlay.style.left = `${rect.left}px`;
+    overlay.style.top = `${rect.top}px`;
+    overlay.style.width = `${rect.width}px`;
+    overlay.style.height = `${rect.height}px`;
+  });
+  pickerFrameRequest = requestAnimationFrame(positionPickerOverlays);
+}
+
+/**
+ * Remove the picker's overlays and banner
+ */
+function hideVideoPicker() {
+  if (pickerFrameRequest !== null) {
+    cancelAnimationFrame(pickerFrameRequest);
+    pickerFrameRequest = null;
+  }
+  if (pickerKeyHandler) {
+    document.removeEventListener('keydown', pickerKeyHandler, true);
+    pickerKeyHandler = null;
+  }
+  pickerOverlays.forEach(({ overlay }) => overlay.remove());
+  pickerOverlays = [];
+  if (pickerBanner) {
+    pickerBanner.remove();
+    pickerBanner = null;
+  }
+}
+
+/**
+ * Get the site a choice is remembered under
+ * Frames use the site of the page embedding them, so an embedded player's choice
+ * belongs to the site it was made on.
+ * @returns {string} The site's hostname
+ */
+function getChoiceSite() {
+  const ancestors = location.ancestorOrigins;
+  if (!ancestors || ancestors.length === 0) {
+    return location.hostname;
+  }
+
+  try {
+    return new URL(ancestors[ancestors.length - 1]).hostname;
+  } catch (error) {
+    return location.hostname;
+  }
+}
+
+/**
+ * Describe where a video sits in the page, from the document down through shadow hosts
+ * Positions among siblings are left out, they change as pages add and remove content.
+ * @param {HTMLVideoElement} video - The video element
+ * @returns {string} The path, e.g. "html>body>div#player>video"
+ */
+function getVideoPath(video) {
+  const parts = [];
+  let node = video;
+  while (node) {
+    if (node instanceof ShadowRoot) {
+      parts.unshift('#shadow-root');
+      node = node.host;
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      parts.unshift(node.id ? `${node.localName}#${node.id}` : node.localName);
+      node = node.parentNode;
+    } else {
+      break;
+    }
+  }
+  return parts.join('>');
+}
+
+/**
+ * Describe a chosen video so it can be found again after the page reloads
+ * @param {HTMLVideoElement} video - The chosen video
+ * @param {HTMLVideoElement[]} videos - Every video in the frame, in document order
+ * @returns {object} The choice
+ */
+function describeChosenVideo(video, videos) {
+  return {
+    frameOrigin: location.origin,
+    topFrame: window === window.top,
+    id: video.id || null,
+    path: getVideoPath(video),
+    index: videos.indexOf(video),
+    count: videos.length,
+    chosenAt: Date.now()
+  };
+}
+
+/**
+ * Find the video a remembered choice refers to
+ * Matched by ID, then by its place in the page, then by position if the page
+ * has the same number of videos as when the choice was made.
+ * @param {object|null} choice - The remembered choice
+ * @param {HTMLVideoElement[]} videos - Every video in the frame, in document order
+ * @returns {HTMLVideoElement|null} The video, or null if it isn't in this frame
+ */
+function findChosenVideo(choice, videos) {
+  if (!choice || choice.frameOrigin !== location.origin || choice.topFrame !== (window === window.top)) {
+    return null;
+  }
+
+  if (choice.id) {
+    const byId = videos.find(video => video.id === choice.id);
+    if (byId) return byId;
+  }
+
+  const byPath = videos.filter(video => getVideoPath(video) === choice.path);
+  if (byPath.length === 1) return byPath[0];
+
+  if (videos.length === choice.count && videos[choice.index]) {
+    return videos[choice.index];
+  }
+  return byPath[0] || null;
+}
+
+/**
+ * Load the choice remembered for this site
+ * @returns {Promise<object|null>} The choice, or null if none was made
+ */
+async function loadChosenVideo() {
+  try {
+    const result = await chrome.storage.local.get(CHOSEN_VIDEOS_STORAGE_KEY);
+    const chosenVideos = result[CHOSEN_VIDEOS_STORAGE_KEY] || {};
+    return chosenVideos[getChoiceSite()] || null;
+  } catch (error) {
+    // Extension context may not be available
+    return null;
+  }
+}
+
+/**
+ * Remember the choice for this site, replacing any earlier one
+ * @param {object} choice - The choice, from describeChosenVideo
+ */
+async function saveChosenVideo(choice) {
+  try {
+    const result = await chrome.storage.local.get(CHOSEN_VIDEOS_STORAGE_KEY);
+    const chosenVideos = result[CHOSEN_VIDEOS_STORAGE_KEY] || {};
+    chosenVideos[getChoiceSite()] = choice;
+
+    const sites = Object.keys(chosenVideos)
+      .sort((a, b) => chosenVideos[b].chosenAt - chosenVideos[a].chosenAt);
+    sites.slice(MAX_CHOSEN_VIDEO_SITES).forEach(site => delete chosenVideos[site]);
+
+    await chrome.storage.local.set({ [CHOSEN_VIDEOS_STORAGE_KEY]: chosenVideos });
+  } catch (error) {
+    // Extension context may not be available
+  }
+}